@@ -0,0 +1,131 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import { createElement } from '../dom.js';
+
+// Rendered as a fixed overlay, so the banner never shifts the page layout
+const STYLES = `
+.gtm-martech-consent {
+  position: fixed;
+  inset: auto 1rem 1rem 1rem;
+  z-index: 2147483647;
+  max-width: 40rem;
+  margin: 0 auto;
+  padding: 1.5rem;
+  border-radius: 0.5rem;
+  background: #fff;
+  color: #222;
+  box-shadow: 0 0.25rem 1.5rem rgb(0 0 0 / 25%);
+  font: 1rem/1.5 system-ui, sans-serif;
+}
+.gtm-martech-consent h2 { margin: 0 0 0.5rem; font-size: 1.25rem; }
+.gtm-martech-consent p { margin: 0 0 1rem; }
+.gtm-martech-consent fieldset { margin: 0 0 1rem; padding: 0; border: 0; }
+.gtm-martech-consent label { display: block; margin-bottom: 0.5rem; }
+.gtm-martech-consent label span { display: block; margin-left: 1.5rem; font-size: 0.875rem; }
+.gtm-martech-consent-actions { display: flex; flex-wrap: wrap; gap: 0.5rem; justify-content: flex-end; }
+.gtm-martech-consent button {
+  padding: 0.5rem 1rem;
+  border: 1px solid #222;
+  border-radius: 0.25rem;
+  background: #fff;
+  color: #222;
+  font: inherit;
+  cursor: pointer;
+}
+.gtm-martech-consent button[data-action="accept"] { background: #222; color: #fff; }
+.gtm-martech-consent [hidden] { display: none; }
+`;
+
+/**
+ * Show the consent banner and wait for the visitor's choices.
+ *
+ * @param {import('./banner.js').ConsentBannerOptions} options the banner options
+ * @returns {Promise<Object>} A promise that resolves to the consent config object
+ */
+export default function showConsentBanner(options) {
+  const { categories, necessary } = options;
+
+  const fieldset = createElement(
+    'fieldset',
+    { id: 'gtm-martech-consent-categories', hidden: '' },
+    ...Object.entries(categories).map(([id, category]) => createElement(
+      'label',
+      {},
+      createElement('input', { type: 'checkbox', name: id }),
+      ` ${category.label}`,
+      createElement('span', {}, category.description),
+    )),
+  );
+  const button = (action, label) => createElement('button', { type: 'button', 'data-action': action }, label);
+  const customize = button('customize', options.customizeLabel);
+  customize.setAttribute('aria-controls', 'gtm-martech-consent-categories');
+  customize.setAttribute('aria-expanded', 'false');
+  const save = button('save', options.saveLabel);
+  save.hidden = true;
+
+  const banner = createElement(
+    'div',
+    {
+      class: 'gtm-martech-consent',
+      role: 'dialog',
+      'aria-labelledby': 'gtm-martech-consent-title',
+      'aria-describedby': 'gtm-martech-consent-description',
+      tabindex: '-1',
+    },
+    createElement('style', {}, STYLES),
+    createElement('h2', { id: 'gtm-martech-consent-title' }, options.title),
+    createElement('p', { id: 'gtm-martech-consent-description' }, options.description),
+    fieldset,
+    createElement(
+      'div',
+      { class: 'gtm-martech-consent-actions' },
+      button('reject', options.rejectLabel),
+      customize,
+      save,
+      button('accept', options.acceptLabel),
+    ),
+  );
+
+  return new Promise((resolve) => {
+    const previousFocus = document.activeElement;
+    const close = (isGranted) => {
+      banner.remove();
+      previousFocus?.focus();
+      resolve(Object.fromEntries([
+        ...necessary.map((type) => [type, 'granted']),
+        ...Object.entries(categories).flatMap(([id, { types }]) => types
+          .map((type) => [type, isGranted(id) ? 'granted' : 'denied'])),
+      ]));
+    };
+
+    banner.addEventListener('click', (ev) => {
+      const { action } = ev.target.dataset;
+      if (action === 'accept') {
+        close(() => true);
+      } else if (action === 'reject') {
+        close(() => false);
+      } else if (action === 'save') {
+        close((id) => fieldset.querySelector(`input[name="${id}"]`).checked);
+      } else if (action === 'customize') {
+        fieldset.hidden = false;
+        save.hidden = false;
+        customize.hidden = true;
+        customize.setAttribute('aria-expanded', 'true');
+        fieldset.querySelector('input')?.focus();
+      }
+    });
+
+    document.body.append(banner);
+    banner.focus();
+  });
+}
@@ -0,0 +1,81 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/**
+ * Built-in consent banner, to be used as the `consentCallback` on sites without a CMP.
+ *
+ * @typedef {Object} ConsentBannerCategory
+ * @property {String} label The category label
+ * @property {String} description The category description
+ * @property {Array<String>} types The Google consent types granted by this category
+ *
+ * @typedef {Object} ConsentBannerOptions
+ * @property {String} title The banner title
+ * @property {String} description The banner description
+ * @property {String} acceptLabel The label of the accept all button
+ * @property {String} rejectLabel The label of the reject all button
+ * @property {String} customizeLabel The label of the button showing the categories
+ * @property {String} saveLabel The label of the button saving the selected categories
+ * @property {Object<String, ConsentBannerCategory>} categories The consent categories the visitor can choose from
+ * @property {Array<String>} necessary The Google consent types that are always granted
+ */
+
+const DEFAULT_OPTIONS = Object.freeze({
+  title: 'We value your privacy',
+  description: 'We use cookies to analyze our traffic and personalize content and ads. '
+    + 'You can accept all cookies, reject them, or choose which categories to allow.',
+  acceptLabel: 'Accept all',
+  rejectLabel: 'Reject all',
+  customizeLabel: 'Customize',
+  saveLabel: 'Save choices',
+  categories: {
+    analytics: {
+      label: 'Analytics',
+      description: 'Help us understand how visitors use the site.',
+      types: ['analytics_storage'],
+    },
+    marketing: {
+      label: 'Marketing',
+      description: 'Show you relevant ads and measure their performance.',
+      types: ['ad_storage', 'ad_user_data', 'ad_personalization'],
+    },
+    functional: {
+      label: 'Functional',
+      description: 'Remember your preferences and personalize your experience.',
+      types: ['functionality_storage', 'personalization_storage'],
+    },
+  },
+  necessary: ['security_storage'],
+});
+
+/**
+ * Create a consent callback that prompts the visitor with the built-in consent banner.
+ *
+ * The banner UI is only imported if the visitor has no stored choices. The choices are saved through the
+ * `consentStorage` of the plugin, which the callback turns on with its default options if it is disabled.
+ *
+ * @param {ConsentBannerOptions} options the banner options
+ * @returns {Function} the consent callback
+ */
+export default function consentBanner(options = {}) {
+  const opts = { ...DEFAULT_OPTIONS, ...options };
+  const callback = async (martech) => {
+    // Choices were already restored from storage
+    if (martech.storedConsent) return undefined;
+
+    const { default: showConsentBanner } = await import('./banner-dialog.js');
+    return showConsentBanner(opts);
+  };
+  // Let the plugin enable the consent storage, so the banner is not shown again on every page
+  callback.requiresConsentStorage = true;
+  return callback;
+}
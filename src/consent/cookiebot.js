@@ -0,0 +1,73 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/**
+ * Cookiebot consent adapter, to be used as the `consentCallback`.
+ *
+ * @typedef {Object} CookiebotConsentOptions
+ * @property {Object} categories A map of Google consent types to the Cookiebot categories that grant them
+ *                               (defaults to the standard Cookiebot categories)
+ */
+
+const DEFAULT_CATEGORIES = Object.freeze({
+  ad_storage: 'marketing',
+  ad_user_data: 'marketing',
+  ad_personalization: 'marketing',
+  analytics_storage: 'statistics',
+  functionality_storage: 'preferences',
+  personalization_storage: 'preferences',
+  security_storage: 'necessary',
+});
+
+/**
+ * Map the Cookiebot consent to a Google consent config object.
+ *
+ * @param {Object} consent the Cookiebot consent object
+ * @param {Object} categories the map of Google consent types to Cookiebot categories
+ * @returns {Object} the consent config object
+ */
+function toGoogleConsent(consent, categories) {
+  return Object.fromEntries(Object.entries(categories)
+    .map(([type, category]) => [type, consent[category] ? 'granted' : 'denied']));
+}
+
+/**
+ * Create a consent callback backed by Cookiebot.
+ *
+ * The callback resolves once the visitor has responded to the Cookiebot dialog (or had already responded), and keeps
+ * updating the consent whenever the `CookiebotOnAccept` or `CookiebotOnDecline` events are dispatched.
+ *
+ * @param {CookiebotConsentOptions} options the adapter options
+ * @returns {Function} the consent callback
+ */
+export default function cookiebotConsent({ categories = DEFAULT_CATEGORIES } = {}) {
+  return (martech) => new Promise((resolve) => {
+    let resolved = false;
+    const update = () => {
+      const consent = toGoogleConsent(window.Cookiebot.consent, categories);
+      if (resolved) {
+        martech.updateUserConsent(consent);
+      } else {
+        resolved = true;
+        resolve(consent);
+      }
+    };
+
+    window.addEventListener('CookiebotOnAccept', update);
+    window.addEventListener('CookiebotOnDecline', update);
+
+    // The visitor already responded
+    if (window.Cookiebot?.hasResponse) {
+      update();
+    }
+  });
+}
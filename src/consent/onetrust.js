@@ -0,0 +1,81 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/**
+ * OneTrust consent adapter, to be used as the `consentCallback`.
+ *
+ * @typedef {Object} OneTrustConsentOptions
+ * @property {Object} categories A map of Google consent types to the OneTrust category ids that grant them
+ *                               (defaults to the standard OneTrust categories)
+ */
+
+const DEFAULT_CATEGORIES = Object.freeze({
+  ad_storage: 'C0004',
+  ad_user_data: 'C0004',
+  ad_personalization: 'C0004',
+  analytics_storage: 'C0002',
+  functionality_storage: 'C0003',
+  personalization_storage: 'C0003',
+  security_storage: 'C0001',
+});
+
+/**
+ * Map the active OneTrust groups to a Google consent config object.
+ *
+ * @param {Array<String>|String} groups the active groups, as an array or a comma-separated string
+ * @param {Object} categories the map of Google consent types to OneTrust category ids
+ * @returns {Object} the consent config object
+ */
+function toGoogleConsent(groups, categories) {
+  const active = Array.isArray(groups) ? groups : groups.split(',').filter(Boolean);
+  return Object.fromEntries(Object.entries(categories)
+    .map(([type, category]) => [type, active.includes(category) ? 'granted' : 'denied']));
+}
+
+/**
+ * Create a consent callback backed by OneTrust.
+ *
+ * The callback resolves once OneTrust has loaded (through `OptanonWrapper`), and keeps updating the consent
+ * whenever the `OneTrustGroupsUpdated` event is dispatched.
+ *
+ * @param {OneTrustConsentOptions} options the adapter options
+ * @returns {Function} the consent callback
+ */
+export default function oneTrustConsent({ categories = DEFAULT_CATEGORIES } = {}) {
+  return (martech) => new Promise((resolve) => {
+    let resolved = false;
+    const update = (groups) => {
+      const consent = toGoogleConsent(groups, categories);
+      if (resolved) {
+        martech.updateUserConsent(consent);
+      } else {
+        resolved = true;
+        resolve(consent);
+      }
+    };
+
+    window.addEventListener('OneTrustGroupsUpdated', (ev) => update(ev.detail));
+
+    // OneTrust already loaded
+    if (window.OnetrustActiveGroups) {
+      update(window.OnetrustActiveGroups);
+      return;
+    }
+
+    // Keep any project defined wrapper working
+    const { OptanonWrapper } = window;
+    window.OptanonWrapper = (...args) => {
+      if (!resolved) update(window.OnetrustActiveGroups);
+      if (typeof OptanonWrapper === 'function') OptanonWrapper(...args);
+    };
+  });
+}
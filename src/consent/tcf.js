@@ -0,0 +1,78 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/**
+ * IAB TCF v2.2 consent adapter, to be used as the `consentCallback`.
+ *
+ * @typedef {Object} TcfConsentOptions
+ * @property {Object} purposes A map of Google consent types to the TCF purpose ids that must all be consented to
+ *                             for the type to be granted (defaults to Google's recommended mapping)
+ */
+
+const DEFAULT_PURPOSES = Object.freeze({
+  ad_storage: [1],
+  ad_user_data: [1, 7],
+  ad_personalization: [3, 4],
+  analytics_storage: [1, 8],
+});
+
+const READY_STATUSES = ['tcloaded', 'useractioncomplete'];
+
+/**
+ * Map the TCF data to a Google consent config object.
+ *
+ * @param {Object} tcData the TC data provided by the CMP
+ * @param {Object} purposes the map of Google consent types to TCF purpose ids
+ * @returns {Object} the consent config object
+ */
+function toGoogleConsent(tcData, purposes) {
+  const consents = tcData.purpose?.consents || {};
+  return Object.fromEntries(Object.entries(purposes).map(([type, ids]) => {
+    // If GDPR does not apply, no consent is required
+    const granted = tcData.gdprApplies === false || ids.every((id) => consents[id]);
+    return [type, granted ? 'granted' : 'denied'];
+  }));
+}
+
+/**
+ * Create a consent callback backed by the IAB TCF v2.2 `__tcfapi`.
+ *
+ * The callback resolves once the CMP has loaded a TC string or the visitor completed their choices, and keeps
+ * updating the consent on any later changes.
+ *
+ * @param {TcfConsentOptions} options the adapter options
+ * @returns {Function} the consent callback
+ */
+export default function tcfConsent({ purposes = DEFAULT_PURPOSES } = {}) {
+  return (martech) => new Promise((resolve) => {
+    // eslint-disable-next-line no-underscore-dangle
+    if (typeof window.__tcfapi !== 'function') {
+      // eslint-disable-next-line no-console
+      console.warn('No IAB TCF v2 CMP found on the page');
+      resolve(undefined);
+      return;
+    }
+
+    let resolved = false;
+    // eslint-disable-next-line no-underscore-dangle
+    window.__tcfapi('addEventListener', 2, (tcData, success) => {
+      if (!success || !READY_STATUSES.includes(tcData.eventStatus)) return;
+      const consent = toGoogleConsent(tcData, purposes);
+      if (resolved) {
+        martech.updateUserConsent(consent);
+      } else {
+        resolved = true;
+        resolve(consent);
+      }
+    });
+  });
+}
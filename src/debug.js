@@ -0,0 +1,143 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import { createElement } from './dom.js';
+
+// Docked to the bottom right corner, above the page content, and scrollable once the log grows
+const STYLES = `
+.gtm-martech-debug {
+  position: fixed;
+  inset: auto 1rem 1rem auto;
+  z-index: 2147483647;
+  display: flex;
+  flex-direction: column;
+  width: min(32rem, calc(100vw - 2rem));
+  max-height: 50vh;
+  border-radius: 0.5rem;
+  background: #1e1e1e;
+  color: #eee;
+  box-shadow: 0 0.25rem 1.5rem rgb(0 0 0 / 25%);
+  font: 0.75rem/1.4 ui-monospace, monospace;
+}
+.gtm-martech-debug header { display: flex; gap: 0.5rem; align-items: center; padding: 0.5rem; border-bottom: 1px solid #444; }
+.gtm-martech-debug h2 { flex: 1; margin: 0; font-size: 0.875rem; }
+.gtm-martech-debug button {
+  padding: 0.125rem 0.5rem;
+  border: 1px solid #888;
+  border-radius: 0.25rem;
+  background: transparent;
+  color: inherit;
+  font: inherit;
+  cursor: pointer;
+}
+.gtm-martech-debug button[aria-pressed="true"] { background: #e91e63; border-color: #e91e63; }
+.gtm-martech-debug ol { margin: 0; padding: 0; overflow: auto; list-style: none; }
+.gtm-martech-debug li { padding: 0.25rem 0.5rem; border-bottom: 1px solid #333; }
+.gtm-martech-debug li[data-type="consent"] strong { color: #ffb74d; }
+.gtm-martech-debug li[data-type="container"] strong, .gtm-martech-debug li[data-type="script"] strong { color: #4fc3f7; }
+.gtm-martech-debug li[data-type="element"] strong { color: #e91e63; }
+.gtm-martech-debug time { margin-right: 0.5rem; color: #888; }
+.gtm-martech-debug strong { margin-right: 0.5rem; color: #81c784; }
+.gtm-martech-debug pre { margin: 0.25rem 0 0; white-space: pre-wrap; word-break: break-all; }
+.gtm-martech-debug [hidden] { display: none; }
+.gtm-martech-debug-highlight [data-gtm-martech-decorated] { outline: 2px dashed #e91e63; outline-offset: -2px; }
+`;
+
+/**
+ * Serialize the details of a debug entry.
+ *
+ * @param {*} data the entry details
+ * @returns {String} the pretty-printed JSON, or the string value if it cannot be serialized
+ */
+function stringify(data) {
+  try {
+    return JSON.stringify(data, null, 2);
+  } catch (e) {
+    return String(data);
+  }
+}
+
+/**
+ * Render a debug entry.
+ *
+ * @param {Object} entry the debug entry
+ * @returns {Element} the list item
+ */
+function renderEntry({
+  time, type, message, data,
+}) {
+  const item = createElement(
+    'li',
+    { 'data-type': type },
+    createElement('time', {}, `${(time / 1000).toFixed(3)}s`),
+    createElement('strong', {}, type),
+    message,
+  );
+  if (data !== undefined) {
+    item.append(createElement('details', {}, createElement('summary', {}, 'details'), createElement('pre', {}, stringify(data))));
+  }
+  return item;
+}
+
+/**
+ * Show the debug panel, listing the entries of the debug log as they are recorded, and highlighting the decorated
+ * sections & blocks.
+ *
+ * @param {GtmMartech} martech the plugin instance
+ * @returns {Element} the debug panel
+ */
+export default function showDebugPanel(martech) {
+  const log = martech.debugLog;
+  const list = createElement('ol', { 'aria-live': 'polite' }, ...log.map(renderEntry));
+  const button = (action, label, attrs) => createElement('button', { type: 'button', 'data-action': action, ...attrs }, label);
+  const panel = createElement(
+    'aside',
+    { class: 'gtm-martech-debug', 'aria-labelledby': 'gtm-martech-debug-title' },
+    createElement('style', {}, STYLES),
+    createElement(
+      'header',
+      {},
+      createElement('h2', { id: 'gtm-martech-debug-title' }, 'GTM Martech'),
+      button('highlight', 'Highlight', { 'aria-pressed': 'true' }),
+      button('clear', 'Clear'),
+      button('toggle', 'Hide', { 'aria-expanded': 'true' }),
+    ),
+    list,
+  );
+  document.body.classList.add('gtm-martech-debug-highlight');
+
+  // Render the entries recorded from now on
+  const { push } = log;
+  log.push = (...entries) => {
+    list.append(...entries.map(renderEntry));
+    return push.apply(log, entries);
+  };
+
+  panel.addEventListener('click', ({ target }) => {
+    const { action } = target.dataset;
+    if (action === 'highlight') {
+      const pressed = document.body.classList.toggle('gtm-martech-debug-highlight');
+      target.setAttribute('aria-pressed', String(pressed));
+    } else if (action === 'clear') {
+      log.splice(0);
+      list.replaceChildren();
+    } else if (action === 'toggle') {
+      list.hidden = !list.hidden;
+      // eslint-disable-next-line no-param-reassign
+      target.textContent = list.hidden ? 'Show' : 'Hide';
+      target.setAttribute('aria-expanded', String(!list.hidden));
+    }
+  });
+
+  document.body.append(panel);
+  return panel;
+}
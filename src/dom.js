@@ -0,0 +1,26 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/**
+ * Create an element with the given attributes and children, for the UI rendered by the plugin.
+ *
+ * @param {String} tag the element tag name
+ * @param {Object} attrs the element attributes
+ * @param {...(Element|String)} children the child elements or text
+ * @returns {Element} the element
+ */
+export function createElement(tag, attrs = {}, ...children) {
+  const el = document.createElement(tag);
+  Object.entries(attrs).forEach(([name, value]) => el.setAttribute(name, value));
+  el.append(...children);
+  return el;
+}
@@ -0,0 +1,149 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/**
+ * A GA4 ecommerce item, see https://developers.google.com/analytics/devguides/collection/ga4/reference/events.
+ * Either the `item_id` or the `item_name` is required. Custom item parameters are passed through as is.
+ *
+ * @typedef {Object} EcommerceItem
+ * @property {String} item_id The item id
+ * @property {String} item_name The item name
+ * @property {Number} price The unit price of the item, after discounts
+ * @property {Number} quantity The item quantity (defaults to 1)
+ * @property {Number} discount The unit discount of the item
+ */
+
+const STRING_FIELDS = Object.freeze([
+  'item_id', 'item_name', 'affiliation', 'coupon', 'item_brand', 'item_category', 'item_category2', 'item_category3',
+  'item_category4', 'item_category5', 'item_list_id', 'item_list_name', 'item_variant', 'location_id',
+  'promotion_id', 'promotion_name', 'creative_name', 'creative_slot',
+]);
+
+const NUMBER_FIELDS = Object.freeze(['price', 'quantity', 'discount', 'index']);
+
+/**
+ * The GA4 ecommerce events, by method name. Events with a `value` require a `currency`, and compute the `value`
+ * from the items when it is missing.
+ */
+const EVENTS = Object.freeze({
+  viewItemList: { event: 'view_item_list' },
+  selectItem: { event: 'select_item' },
+  viewItem: { event: 'view_item', value: true },
+  addToWishlist: { event: 'add_to_wishlist', value: true },
+  addToCart: { event: 'add_to_cart', value: true },
+  removeFromCart: { event: 'remove_from_cart', value: true },
+  viewCart: { event: 'view_cart', value: true },
+  beginCheckout: { event: 'begin_checkout', value: true },
+  addShippingInfo: { event: 'add_shipping_info', value: true },
+  addPaymentInfo: { event: 'add_payment_info', value: true },
+  purchase: { event: 'purchase', value: true, required: ['transaction_id'] },
+  refund: {
+    event: 'refund', value: true, required: ['transaction_id'], optionalItems: true,
+  },
+  viewPromotion: { event: 'view_promotion', optionalItems: true },
+  selectPromotion: { event: 'select_promotion', optionalItems: true },
+});
+
+/**
+ * Validate items against the GA4 item schema.
+ *
+ * @param {Array<EcommerceItem>} items the items
+ * @returns {Array<String>} the validation errors, if any
+ */
+function validateItems(items) {
+  return items.flatMap((item, i) => {
+    if (!item || typeof item !== 'object') return [`items[${i}] must be an object`];
+    const errors = [];
+    if (item.item_id === undefined && item.item_name === undefined) {
+      errors.push(`items[${i}] must have an item_id or item_name`);
+    }
+    STRING_FIELDS
+      .filter((field) => item[field] !== undefined && typeof item[field] !== 'string')
+      .forEach((field) => errors.push(`items[${i}].${field} must be a string`));
+    NUMBER_FIELDS
+      .filter((field) => item[field] !== undefined && !Number.isFinite(item[field]))
+      .forEach((field) => errors.push(`items[${i}].${field} must be a number`));
+    return errors;
+  });
+}
+
+/**
+ * Compute the total value of the items.
+ *
+ * @param {Array<EcommerceItem>} items the items
+ * @returns {Number} the sum of the item prices times their quantity, rounded to the cent
+ */
+function computeValue(items) {
+  const value = items.reduce((total, { price = 0, quantity = 1 }) => total + price * quantity, 0);
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Validate & push a GA4 ecommerce event. The previous ecommerce object is cleared first,
+ * so that its values are not merged into this event.
+ *
+ * @param {GtmMartech} martech the plugin instance
+ * @param {Object} definition the event definition
+ * @param {Array<EcommerceItem>} items the items
+ * @param {Object} params the event parameters, e.g. the `currency` & `value`
+ * @returns {Boolean} true if the event was pushed, false if it was invalid
+ */
+function pushEvent(martech, definition, items, params) {
+  const { event, required = [] } = definition;
+  const errors = [];
+  if (items !== undefined || !definition.optionalItems) {
+    if (!Array.isArray(items) || items.length === 0) {
+      errors.push('items must be a non-empty array');
+    } else {
+      errors.push(...validateItems(items));
+    }
+  }
+  required
+    .filter((param) => params[param] === undefined || params[param] === '')
+    .forEach((param) => errors.push(`${param} is required`));
+  if (definition.value) {
+    if (!/^[A-Z]{3}$/.test(params.currency)) errors.push('currency must be an ISO 4217 code, e.g. "USD"');
+    if (params.value !== undefined && !Number.isFinite(params.value)) errors.push('value must be a number');
+  }
+  ['tax', 'shipping']
+    .filter((param) => params[param] !== undefined && !Number.isFinite(params[param]))
+    .forEach((param) => errors.push(`${param} must be a number`));
+
+  if (errors.length > 0) {
+    // eslint-disable-next-line no-console
+    console.warn(`Invalid ${event} ecommerce event, it was not pushed:`, errors);
+    return false;
+  }
+
+  const ecommerce = { ...params };
+  if (items) {
+    if (definition.value && ecommerce.value === undefined) ecommerce.value = computeValue(items);
+    ecommerce.items = items;
+  }
+  martech.pushToDataLayer({ ecommerce: null });
+  martech.pushToDataLayer({ event, ecommerce });
+  return true;
+}
+
+/**
+ * Create the typed GA4 ecommerce API for a plugin instance, e.g. `ecommerce.addToCart(items, { currency: 'USD' })`.
+ * Each method validates the items & parameters, and returns true if the event was pushed.
+ *
+ * @param {GtmMartech} martech the plugin instance
+ * @returns {Object<String, Function>} the ecommerce methods, each taking the items and the event parameters
+ */
+export default function createEcommerce(martech) {
+  return Object.freeze(Object.fromEntries(Object.entries(EVENTS).map(([method, definition]) => [
+    method,
+    (items, params = {}) => pushEvent(martech, definition, items, params),
+  ])));
+}
@@ -10,8 +10,12 @@
  * governing permissions and limitations under the License.
  */
 
+import createEcommerce from './ecommerce.js';
+import { EventValidationError, formatError, validate } from './validation.js';
+
 /**
  * @callback consentCallback
+ * @param {GtmMartech} martech The plugin instance, to call `updateUserConsent` on for later consent changes.
  * @returns {Promise<Object>|undefined} A promise that resolves to a consent config object.
  */
 
@@ -20,23 +24,161 @@
  * @param {Element} el The section or block element to decorate.
  */
 
+/**
+ * An automatic tracker, as initialized from the `tracking` configuration.
+ * @typedef {Object} Tracker
+ * @property {decorateCallback} decorate The function called on each section & block load, if any
+ * @property {Function} reset The function resetting the per-page state on virtual page views, if any
+ */
+
+/**
+ * A GTM container that is only loaded once the visitor granted the required consent types.
+ * @typedef {Object} GtmContainer
+ * @property {String} id The GTM container id
+ * @property {Array<String>} requires The Google consent types that must be granted before the container is loaded
+ */
+
+/**
+ * How to extract a GA4 parameter from a page `<meta>` tag.
+ * @typedef {Object} PageMetadataMapping
+ * @property {String} param The GA4 parameter name
+ * @property {Function|String} transform A function transforming the meta content, or the name of a built-in transform
+ *                                       ('lowercase', 'list' or 'number')
+ * @property {*} default The value to use when the meta tag is missing or empty
+ */
+
+/**
+ * What to do with buffered data layer events when a consent type is not granted.
+ * @typedef {Object} ConsentBufferRule
+ * @property {String} action Either 'drop' to discard the events, or 'redact' to remove the specified keys from them
+ * @property {Array<String>} keys The top-level keys to remove from the events, for the 'redact' action
+ * @property {Array<String>} events The event names the rule applies to (defaults to all events)
+ */
+
+/**
+ * How the plugin loads the GA4 tags & GTM containers scripts.
+ * @typedef {Object} ScriptLoaderOptions
+ * @property {Number} timeout The maximum time to wait for a script in milliseconds, or 0 to wait indefinitely
+ *                            (defaults to 0)
+ * @property {Number} retries The number of times a failed script is loaded again (defaults to 0)
+ * @property {Number} backoff The delay before the first retry in milliseconds, doubled on each retry (defaults to 1000)
+ * @property {Boolean} wait Whether the phase methods wait for their scripts to be loaded or failed before resolving
+ *                          (defaults to false)
+ */
+
+/**
+ * The loading state of a script, shared by every plugin instance in the document.
+ * @typedef {Object} ScriptEntry
+ * @property {String} state Either 'pending', 'loaded' or 'failed'. A timed out script is 'loaded' if it loads later.
+ * @property {Promise} promise A promise that resolves once the script is loaded, and rejects if it failed or timed out
+ * @property {Promise} loaded A promise that resolves once the script is loaded, even after it timed out
+ */
+
+/**
+ * A GA4 tag or GTM container script that failed to load.
+ * @typedef {Object} LoadError
+ * @property {String} type Either 'tag' or 'container'
+ * @property {String} id The GA4 tag or GTM container id
+ * @property {String} phase The phase the script was loaded in
+ * @property {String} url The script url
+ * @property {String} reason Either 'error' if the request failed, or 'timeout' if it did not complete in time
+ * @property {Boolean} adBlocker Whether an ad blocker was detected
+ */
+
+/**
+ * @callback errorCallback
+ * @param {LoadError} error The script that failed to load
+ */
+
+/**
+ * When the plugin runs the delayed phase on its own, once the lazy phase ended.
+ * @typedef {Object} DelayedSchedule
+ * @property {String} strategy Either 'delay' to wait for a fixed delay, 'idle' to wait for the browser to be idle,
+ *                             'interaction' to wait for the first visitor interaction, or 'first' for whichever comes
+ *                             first (defaults to 'delay')
+ * @property {Number} delay The fixed delay, or the deadline of the idle strategy, in milliseconds (defaults to 3000)
+ * @property {Array<String>} events The window events that count as an interaction
+ *                                  (defaults to 'scroll', 'pointerdown' & 'keydown')
+ */
+
+/**
+ * @callback eventHandler
+ * @param {Object} detail The event details, e.g. the `phase`, the script `id` & `url`, the `consent` or the `element`
+ */
+
 /**
  * Default configuration for the plugin.
  * @typedef {Object} GtmMartechConfig
  * @property {Boolean} analytics Whether to initialize analytics
  * @property {String} dataLayerInstanceName The name of the data ayer instance in the global scope
  *                                          (defaults to "gtmDataLayer")
+ * @property {Boolean} globalGtag Whether to install the instance gtag function as `window.gtag` (defaults to false),
+ *                                unless another one is already defined
  * @property {Array<String>|String} tags The GA4 tags to initialize
  * @property {Objetct|Array<String>|String} containers GTM containers to load during specified phases.
  *                                                    If an array or string is provided, the container(s)
  *                                                    will be loaded during the lazy phase.
- * @property {Array<String>} containers.lazy The GTM containers to load during the lazy phase (defaults to empty list)
- * @property {Array<String>} containers.delayed The GTM containers to load during the delayed phase (defaults to empty list)
+ * @property {Array<String|GtmContainer>} containers.lazy The GTM containers to load during the lazy phase (defaults to empty list)
+ * @property {Array<String|GtmContainer>} containers.delayed The GTM containers to load during the delayed phase
+ *                                                         (defaults to empty list)
  * @property {Object} pageMetadata The page metadata to push to the data layer during the eager phase
+ * @property {Object<String, String|PageMetadataMapping>} pageMetadataMapping A map of `<meta>` names (or `og:*` and
+ *                                    `article:*` properties) to GA4 parameter names or mappings. The values extracted
+ *                                    from the document are merged with the explicit `pageMetadata`.
+ * @property {String|Object} taggingServer A first-party (server-side GTM) tagging server to load tags & containers from.
+ *                                         If a string is provided, it is used for all tags & containers.
+ * @property {String} taggingServer.url The default tagging server url
+ * @property {Object} taggingServer.tags A map of GA4 tag ids to tagging server urls, overriding the default
+ * @property {Object} taggingServer.containers A map of GTM container ids to tagging server urls, overriding the default
  * @property {Boolean} consent Whether consent is required, if true all tracking is defaulted to 'denied'
+ * @property {Object} consentDefaults Region-specific consent defaults, used instead of the global 'denied' defaults
+ * @property {Object} consentDefaults.default The global fallback consent state, merged over the 'denied' defaults
+ * @property {Array<Object>} consentDefaults.regions An ordered list of region rules. Each rule specifies the ISO 3166-2
+ *                                                   country/region code(s) in `region`, and the consent state (including
+ *                                                   `wait_for_update`) that applies to visitors from those regions.
+ * @property {Boolean|Object} consentStorage Whether to persist the visitor's consent choices across page loads
+ *                                          (defaults to false). If true, the default storage options are used.
+ * @property {String} consentStorage.type Where to store the choices, either 'cookie' or 'localStorage' (defaults to 'cookie')
+ * @property {String} consentStorage.name The name of the cookie or localStorage key (defaults to "gtm_martech_consent")
+ * @property {Number} consentStorage.ttl The number of days the choices are kept for (defaults to 180)
+ * @property {String|Number} consentStorage.version The consent policy version, stored choices for other versions are ignored
+ * @property {Boolean|Object} consentBuffer Whether to hold back data layer pushes until the visitor's consent is known
+ *                                         (defaults to false). If true, the default buffer options are used.
+ * @property {Number} consentBuffer.timeout The maximum time to wait for consent in milliseconds, counted from the lazy phase
+ *                                          (defaults to 5000)
+ * @property {Object<String, ConsentBufferRule>} consentBuffer.rules A map of Google consent types to the rule applied to the
+ *                                                                  events pushed while that type is not granted
  * @property {consentCallback} consentCallback A function that will prompt the visitor for consent.
  *                                    If the CMP does not automatically update the Google Consent config object,
  *                                    this function should return a new consent config object.
+ *                                    If its `requiresConsentStorage` property is true, like the built-in consent banner,
+ *                                    the consent storage is enabled with its default options unless configured.
+ * @property {Object} tracking The opt-in automatic trackers to enable during the lazy phase. Each key is a tracker name,
+ *                             and its value either true or the tracker options.
+ * @property {Boolean|Object} tracking.clicks Track clicks on elements with a `data-gtm-event` attribute
+ * @property {Boolean|Object} tracking.links Track outbound, mailto/tel and file download link clicks
+ * @property {Boolean|Object} tracking.scroll Track section views and scroll depth milestones
+ * @property {Boolean|Object} tracking.impressions Track the blocks that were actually seen
+ * @property {Boolean|Object} tracking.forms Track form starts, field errors, submissions and abandonment
+ * @property {Boolean|Object} tracking.video Track HTML5 and YouTube video engagement
+ * @property {Object} eventValidation The validation of the data layer events against their schema
+ * @property {String} eventValidation.mode What to do with invalid events: 'warn' to log them (default), 'strict' to throw
+ *                                         an EventValidationError, 'drop' to discard them, or 'tag' to push them with
+ *                                         their `validation_errors`
+ * @property {Object<String, EventSchema>} eventValidation.schemas A map of event names to the schema of their payload
+ * @property {Boolean} historyPageViews Whether to send a virtual page view when the url changes through the History API
+ *                                     (defaults to false)
+ * @property {ScriptLoaderOptions} scriptLoader How the GA4 tags & GTM containers scripts are loaded
+ * @property {errorCallback} onError A function called when a GA4 tag or GTM container script failed to load
+ * @property {Boolean|DelayedSchedule} delayedSchedule Whether to run the delayed phase automatically after the lazy
+ *                                                  phase (defaults to false). If true, the default schedule is used.
+ * @property {Object<String, eventHandler>} on A map of lifecycle event names to the handlers to register from the start,
+ *                                           e.g. for the 'consent:default' events sent by the constructor
+ * @property {Boolean} debug Whether to show the debug panel. By default, it is shown if the `gtm-martech-debug` query
+ *                          parameter is set, or the `gtm-martech-debug` localStorage item is 'true'.
+ * @property {Boolean|Object} webVitals Whether to report the Core Web Vitals to the data layer (defaults to false).
+ *                                    If true, the default reporting options are used.
+ * @property {Array<String>} webVitals.metrics The metrics to report, among LCP, CLS, INP, FCP and TTFB (defaults to all)
  * @property {decorateCallback} decorateCallback A function that will be called on each section & block load, to allow for decoration
  *                                    of DataLayer events. The function will be passed all section or block elements found.
  */
@@ -54,59 +196,507 @@ const DEFAULT_CONSENT = Object.freeze({
   wait_for_update: 500,
 });
 
+const DEFAULT_CONSENT_STORAGE = Object.freeze({
+  type: 'cookie',
+  name: 'gtm_martech_consent',
+  ttl: 180,
+  version: 1,
+});
+
+// Opt-in trackers, only imported when enabled
+const TRACKERS = Object.freeze({
+  clicks: () => import('./tracking/clicks.js'),
+  links: () => import('./tracking/links.js'),
+  scroll: () => import('./tracking/scroll.js'),
+  impressions: () => import('./tracking/impressions.js'),
+  forms: () => import('./tracking/forms.js'),
+  video: () => import('./tracking/video.js'),
+});
+
+// Built-in transforms for the page metadata extracted from the <meta> tags
+const METADATA_TRANSFORMS = Object.freeze({
+  lowercase: (value) => value.toLowerCase(),
+  list: (value) => value.split(',').map((item) => item.trim()).filter(Boolean),
+  number: (value) => Number(value),
+});
+
+const DEFAULT_CONSENT_BUFFER = Object.freeze({
+  timeout: 5000,
+  rules: {},
+});
+
+// The data layers used by the plugin instances, to detect instances sharing one
+const DATA_LAYERS = new WeakSet();
+
+// The query parameter & localStorage item enabling the debug panel
+const DEBUG_FLAG = 'gtm-martech-debug';
+
+const DEFAULT_EVENT_VALIDATION = Object.freeze({
+  mode: 'warn',
+  schemas: {},
+});
+
+const DEFAULT_SCRIPT_LOADER = Object.freeze({
+  timeout: 0,
+  retries: 0,
+  backoff: 1000,
+  wait: false,
+});
+
+// The scripts loaded by the plugin instances, keyed by url, for each document
+const SCRIPTS = new WeakMap();
+
+const PHASES = Object.freeze(['eager', 'lazy', 'delayed']);
+
+const DEFAULT_DELAYED_SCHEDULE = Object.freeze({
+  strategy: 'delay',
+  delay: 3000,
+  events: ['scroll', 'pointerdown', 'keydown'],
+});
+
+// The delayed phase strategies, each starting to wait & returning a function that stops waiting
+const SCHEDULERS = Object.freeze({
+  delay: (run, { delay }) => {
+    const timer = window.setTimeout(run, delay);
+    return () => window.clearTimeout(timer);
+  },
+  idle: (run, { delay }) => {
+    // Safari does not support requestIdleCallback
+    if (!window.requestIdleCallback) return SCHEDULERS.delay(run, { delay });
+    const handle = window.requestIdleCallback(run, { timeout: delay });
+    return () => window.cancelIdleCallback(handle);
+  },
+  interaction: (run, { events }) => {
+    events.forEach((event) => window.addEventListener(event, run, { capture: true, passive: true }));
+    return () => events.forEach((event) => window.removeEventListener(event, run, { capture: true }));
+  },
+});
+
 const DEFAULT_CONFIG = Object.freeze({
   analytics: true,
   dataLayerInstanceName: 'gtmDataLayer',
+  globalGtag: false,
   tags: [],
   containers: {
     lazy: [],
     delayed: [],
   },
   pageMetadata: {},
+  pageMetadataMapping: {},
+  taggingServer: undefined,
   consent: true,
+  consentDefaults: {
+    default: {},
+    regions: [],
+  },
+  consentStorage: false,
+  consentBuffer: false,
   consentCallback: () => Promise.resolve(undefined),
+  tracking: {},
+  eventValidation: DEFAULT_EVENT_VALIDATION,
+  webVitals: false,
+  historyPageViews: false,
+  scriptLoader: DEFAULT_SCRIPT_LOADER,
+  onError: undefined,
+  delayedSchedule: false,
+  on: {},
+  debug: undefined,
   decorateCallback: undefined,
 });
 
 /**
- * Loads a non module JS file.
- * @param {string} src URL to the JS file
+ * Wait for a script element to load, or fail.
+ *
+ * @param {HTMLScriptElement} script the script element
+ * @returns {Promise} a promise that resolves once the script is loaded, and rejects with the 'error' reason if it failed
  */
-async function loadScript(src) {
-  const attrs = { async: true };
+function waitForScript(script) {
   return new Promise((resolve, reject) => {
-    if (!document.querySelector(`head > script[src="${src}"]`)) {
-      const script = document.createElement('script');
-      script.src = src;
-      if (attrs) {
-        // eslint-disable-next-line no-restricted-syntax, guard-for-in
-        for (const attr in attrs) {
-          script.setAttribute(attr, attrs[attr]);
-        }
-      }
-      script.onload = resolve;
-      script.onerror = reject;
-      document.head.append(script);
-    } else {
-      resolve();
-    }
+    script.addEventListener('load', () => resolve());
+    script.addEventListener('error', () => reject(Object.assign(new Error(`Failed to load ${script.src}`), { reason: 'error' })));
   });
 }
 
 /**
- * Initialize the data layer
+ * Stop waiting for a script after a timeout.
+ *
+ * @param {Promise} loading the script loading promise
+ * @param {Number} timeout the maximum time to wait in milliseconds, or 0 to wait indefinitely
+ * @param {String} src URL to the JS file
+ * @returns {Promise} a promise that settles like the loading promise, or rejects with the 'timeout' reason
+ */
+function withTimeout(loading, timeout, src) {
+  if (!(timeout > 0)) return loading;
+  let timer;
+  const expired = new Promise((resolve, reject) => {
+    timer = window.setTimeout(() => reject(Object.assign(new Error(`Timed out loading ${src}`), { reason: 'timeout' })), timeout);
+  });
+  return Promise.race([loading, expired]).finally(() => window.clearTimeout(timer));
+}
+
+/**
+ * Insert a non module JS file, or wait for the matching script that is already in the document.
+ * A failed script is removed, and inserted again after an exponential backoff, while retries are left.
+ * A timed out script is not inserted again, as its request cannot be cancelled and it may still run.
+ *
+ * @param {String} src URL to the JS file
+ * @param {ScriptLoaderOptions} options the script loader options
+ * @param {Function} onLoad called once the script is loaded, even after it timed out
+ * @param {Number} attempt the number of previous attempts
+ */
+async function fetchScript(src, options, onLoad, attempt = 0) {
+  let script = document.querySelector(`script[src="${src}"]`);
+  // A script inserted by another party that already finished loading will not fire any event
+  if (script && window.performance.getEntriesByName?.(src, 'resource').length > 0) {
+    onLoad();
+    return;
+  }
+  if (!script) {
+    script = document.createElement('script');
+    script.src = src;
+    script.setAttribute('async', true);
+    document.head.append(script);
+  }
+  const loading = waitForScript(script);
+  loading.then(onLoad, () => {});
+  try {
+    await withTimeout(loading, options.timeout, src);
+  } catch (error) {
+    if (error.reason === 'timeout' || attempt >= options.retries) throw error;
+    script.remove();
+    await new Promise((resolve) => {
+      window.setTimeout(resolve, options.backoff * 2 ** attempt);
+    });
+    await fetchScript(src, options, onLoad, attempt + 1);
+  }
+}
+
+/**
+ * Load a non module JS file once per document, sharing the loading state with every caller.
+ *
+ * @param {String} src URL to the JS file
+ * @param {ScriptLoaderOptions} options the script loader options, used by the first caller only
+ * @returns {ScriptEntry} the registry entry of the script
+ */
+function loadScript(src, options) {
+  if (!SCRIPTS.has(document)) {
+    SCRIPTS.set(document, new Map());
+  }
+  const scripts = SCRIPTS.get(document);
+  if (!scripts.has(src)) {
+    const entry = { state: 'pending' };
+    entry.loaded = new Promise((resolve) => {
+      entry.promise = fetchScript(src, options, resolve).catch((error) => {
+        entry.state = 'failed';
+        throw error;
+      });
+    });
+    entry.loaded.then(() => {
+      entry.state = 'loaded';
+    });
+    scripts.set(src, entry);
+  }
+  return scripts.get(src);
+}
+
+/**
+ * Initialize the data layer, reporting conflicts with other scripts or plugin instances
  *
  * @param {String} instanceName The name of the data layer instance in the global scope
  * @returns {Array} The data layer instance
  */
 function initDataLayer(instanceName) {
+  if (window[instanceName] && typeof window[instanceName].push !== 'function') {
+    // eslint-disable-next-line no-console
+    console.warn(`window.${instanceName} is not a data layer, it was replaced`);
+    window[instanceName] = undefined;
+  }
   window[instanceName] = window[instanceName] || [];
+  if (DATA_LAYERS.has(window[instanceName])) {
+    // eslint-disable-next-line no-console
+    console.warn(`The ${instanceName} data layer is already used by another instance, set a distinct dataLayerInstanceName`);
+  }
+  DATA_LAYERS.add(window[instanceName]);
+  return window[instanceName]; // return it so plugin can reference directly
+}
+
+/**
+ * Create a gtag function pushing to a data layer
+ *
+ * @param {Array} dataLayer The data layer instance
+ * @returns {Function} The gtag function
+ */
+function createGtag(dataLayer) {
   function gtag() {
     // eslint-disable-next-line prefer-rest-params
-    window[instanceName].push(arguments);
+    dataLayer.push(arguments);
+  }
+  return gtag;
+}
+
+/**
+ * Install a gtag function as the global `window.gtag`, unless another one is already defined
+ *
+ * @param {Function} gtag The gtag function
+ */
+function installGtag(gtag) {
+  if (typeof window.gtag === 'function') {
+    // eslint-disable-next-line no-console
+    console.warn('window.gtag is already defined by another script or instance, it was not overwritten');
+    return;
   }
   window.gtag = gtag;
-  return window[instanceName]; // return it so plugin can reference directly
+}
+
+/**
+ * Check if the debug panel is enabled.
+ *
+ * @param {Boolean|undefined} debug the debug configuration
+ * @returns {Boolean} the configured value, or whether the debug query parameter or localStorage flag is set
+ */
+function isDebugEnabled(debug) {
+  if (debug !== undefined) return debug;
+  const param = new URLSearchParams(window.location.search).get(DEBUG_FLAG);
+  if (param !== null) return param !== 'off';
+  try {
+    return window.localStorage.getItem(DEBUG_FLAG) === 'true';
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Call the handlers registered for a lifecycle event.
+ * A failing handler is reported, without preventing the other handlers from being called.
+ *
+ * @param {String} event the event name
+ * @param {Object} detail the event details
+ */
+function emit(event, detail) {
+  this.listeners.get(event)?.forEach((handler) => {
+    try {
+      handler(detail);
+    } catch (error) {
+      // eslint-disable-next-line no-console
+      console.warn(`A ${event} handler failed:`, error);
+    }
+  });
+}
+
+/**
+ * Create the promises resolved once the scripts of each phase are loaded or failed.
+ *
+ * @returns {Object<String, Object>} a map of phase names to their promise & its resolve function
+ */
+function createReadiness() {
+  return Object.fromEntries(PHASES.map((phase) => {
+    const readiness = {};
+    readiness.promise = new Promise((resolve) => {
+      readiness.resolve = resolve;
+    });
+    return [phase, readiness];
+  }));
+}
+
+/**
+ * Record an entry in the debug log, if the debug panel is enabled.
+ *
+ * @param {String} type the entry type, e.g. 'push', 'gtag', 'consent', 'container', 'script' or 'element'
+ * @param {String} message the entry summary
+ * @param {*} data the entry details, if any
+ */
+function logDebug(type, message, data) {
+  if (!this.debugLog) return;
+  this.debugLog.push({
+    time: Math.round(window.performance.now()), type, message, data,
+  });
+}
+
+/**
+ * Record the data layer pushes & gtag commands in the debug log.
+ */
+function recordDataLayer() {
+  const { dataLayer } = this;
+  const { push } = dataLayer;
+  dataLayer.push = (...entries) => {
+    entries.forEach((entry) => {
+      if (Object.prototype.toString.call(entry) !== '[object Arguments]') {
+        logDebug.bind(this)('push', entry?.event || '(no event)', entry);
+      } else if (entry[0] === 'consent') {
+        logDebug.bind(this)('consent', `consent ${entry[1]}`, entry[2]);
+      } else {
+        logDebug.bind(this)('gtag', `${entry[0]} ${entry[0] === 'js' ? '' : entry[1]}`.trim(), [...entry].slice(1));
+      }
+    });
+    return push.apply(dataLayer, entries);
+  };
+}
+
+/**
+ * Report a script that failed to load, to the data layer & the `onError` callback.
+ * A failing push or callback is reported, without preventing the other one from running.
+ *
+ * @param {LoadError} failure the failed script, without the ad blocker detection result
+ */
+async function reportLoadError(failure) {
+  let adBlocker;
+  try {
+    adBlocker = await this.detectAdBlocker();
+  } catch (e) {
+    // Still report the failure, without the detection result
+  }
+  const error = { ...failure, adBlocker };
+  try {
+    this.pushToDataLayer({
+      event: 'martech_load_error',
+      script_type: error.type,
+      script_id: error.id,
+      phase: error.phase,
+      reason: error.reason,
+      ad_blocker: error.adBlocker,
+    });
+  } catch (e) {
+    // eslint-disable-next-line no-console
+    console.warn('The martech_load_error event could not be pushed:', e);
+  }
+  try {
+    this.config.onError?.(error);
+  } catch (e) {
+    // eslint-disable-next-line no-console
+    console.warn('The onError callback failed:', e);
+  }
+}
+
+/**
+ * Load a script, record the result in the debug log, and report it if it failed.
+ *
+ * @param {String} src URL to the JS file
+ * @param {Object} script what the script is for
+ * @param {String} script.type either 'tag' or 'container'
+ * @param {String} script.id the GA4 tag or GTM container id
+ * @param {String} script.phase the phase the script is loaded in
+ * @returns {Promise} a promise that resolves once the script is loaded & announced, or failed.
+ *                    The failure is reported separately, as the ad blocker detection takes a while.
+ */
+function injectScript(src, { type, id, phase }) {
+  const entry = loadScript(src, this.config.scriptLoader);
+  this.scripts.set(src, entry);
+  // Announce the script once loaded, even if it timed out before
+  entry.loaded.then(() => {
+    logDebug.bind(this)('script', `Loaded ${src}`);
+    emit.bind(this)(`${type}:loaded`, { id, phase, url: src });
+  });
+  return entry.promise.catch((error) => {
+    logDebug.bind(this)('script', `Failed to load ${src}`);
+    reportLoadError.bind(this)({
+      type, id, phase, url: src, reason: error.reason,
+    });
+  });
+}
+
+/**
+ * Read the content of the page `<meta>` tags with the given name, like the EDS `getMetadata` helper.
+ *
+ * @param {String} name the meta name, or property for namespaced names like `og:type`
+ * @returns {String} the comma-separated content of the matching meta tags, or an empty string if none
+ */
+function getMetadata(name) {
+  const attr = name.includes(':') ? 'property' : 'name';
+  return [...document.head.querySelectorAll(`meta[${attr}="${name}"]`)].map((meta) => meta.content).join(', ');
+}
+
+/**
+ * Build the page metadata from the page `<meta>` tags.
+ *
+ * @param {Object<String, String|PageMetadataMapping>} mapping the map of meta names to GA4 parameters
+ * @returns {Object} the GA4 parameters for the meta tags found, or their defaults
+ */
+function extractPageMetadata(mapping) {
+  return Object.entries(mapping).reduce((metadata, [name, entry]) => {
+    const { param, transform, default: defaultValue } = typeof entry === 'string' ? { param: entry } : entry;
+    const value = getMetadata(name).trim();
+    if (!value) {
+      return defaultValue === undefined ? metadata : { ...metadata, [param]: defaultValue };
+    }
+    if (transform && typeof transform !== 'function' && !METADATA_TRANSFORMS[transform]) {
+      // eslint-disable-next-line no-console
+      console.warn(`Unknown page metadata transform: ${transform}`);
+    }
+    const fn = typeof transform === 'function' ? transform : METADATA_TRANSFORMS[transform];
+    return { ...metadata, [param]: fn ? fn(value) : value };
+  }, {});
+}
+
+/**
+ * Build the list of consent default commands, region rules first, then the global fallback.
+ *
+ * @param {Object} consentDefaults the region-specific consent defaults
+ * @returns {Array<Object>} the consent states to pass to the gtag consent default command
+ */
+function getConsentDefaults(consentDefaults) {
+  const fallback = { ...DEFAULT_CONSENT, ...consentDefaults.default };
+  const regions = (consentDefaults.regions || []).map((rule) => ({
+    ...fallback,
+    ...rule,
+    region: [].concat(rule.region),
+  }));
+  return [...regions, fallback];
+}
+
+/**
+ * Read the persisted consent choices.
+ *
+ * @param {Object} storage the consent storage configuration
+ * @returns {Object|undefined} the stored consent state, or undefined if missing, expired or for another policy version
+ */
+function readConsent({ type, name, version }) {
+  try {
+    const value = type === 'localStorage'
+      ? window.localStorage.getItem(name)
+      : document.cookie.split('; ').find((cookie) => cookie.startsWith(`${name}=`))?.substring(name.length + 1);
+    if (!value) return undefined;
+    const stored = JSON.parse(type === 'localStorage' ? value : decodeURIComponent(value));
+    if (stored.version !== version || stored.expires < Date.now()) return undefined;
+    return stored.consent;
+  } catch (e) {
+    return undefined;
+  }
+}
+
+/**
+ * Persist the consent choices.
+ *
+ * @param {Object} storage the consent storage configuration
+ * @param {Object} consent the consent state to store
+ */
+function writeConsent({
+  type, name, ttl, version,
+}, consent) {
+  const maxAge = ttl * 24 * 60 * 60;
+  const value = JSON.stringify({ version, expires: Date.now() + maxAge * 1000, consent });
+  try {
+    if (type === 'localStorage') {
+      window.localStorage.setItem(name, value);
+    } else {
+      document.cookie = `${name}=${encodeURIComponent(value)}; max-age=${maxAge}; path=/; SameSite=Lax`;
+    }
+  } catch (e) {
+    // eslint-disable-next-line no-console
+    console.warn('Unable to persist the consent choices', e);
+  }
+}
+
+/**
+ * Resolve the first-party tagging server for a GA4 tag or GTM container.
+ *
+ * @param {Object} taggingServer the tagging server configuration
+ * @param {String} type the type of id, either 'tags' or 'containers'
+ * @param {String} id the GA4 tag or GTM container id
+ * @returns {String|undefined} the tagging server url, or undefined if none is configured
+ */
+function getTaggingServer(taggingServer, type, id) {
+  const url = taggingServer?.[type]?.[id] || taggingServer?.url;
+  return url ? url.replace(/\/+$/, '') : undefined;
 }
 
 /**
@@ -114,36 +704,220 @@ function initDataLayer(instanceName) {
  *
  * @param {String} instanceName the name of the data layer instance in the global scope
  * @param {Array<String>} tags the GA4 tags to initialize
+ * @param {Object} taggingServer the tagging server configuration
+ * @returns {Promise} a promise that resolves once all the tags are loaded or failed
  */
-function initGa(instanceName, tags) {
-  tags.forEach((tag) => {
-    loadScript(`${GTM_HOST}/gtag/js?id=${tag}&l=${instanceName}`);
+function initGa(instanceName, tags, taggingServer) {
+  return Promise.all(tags.map((tag) => {
+    const host = getTaggingServer(taggingServer, 'tags', tag) || GTM_HOST;
+    return injectScript.bind(this)(`${host}/gtag/js?id=${tag}&l=${instanceName}`, { type: 'tag', id: tag, phase: 'eager' });
+  }));
+}
+
+/**
+ * Normalize a GTM container entry.
+ *
+ * @param {String|GtmContainer} container the GTM container id or entry
+ * @returns {GtmContainer} the GTM container entry
+ */
+function toContainer(container) {
+  return typeof container === 'string' ? { id: container, requires: [] } : { requires: [], ...container };
+}
+
+/**
+ * Check if the visitor granted all the required consent types.
+ *
+ * @param {Array<String>} requires the required consent types
+ * @returns {Boolean} true if consent is disabled, or all types were granted
+ */
+function hasConsent(requires) {
+  return !this.config.consent || requires.every((type) => this.userConsent[type] === 'granted');
+}
+
+/**
+ * Load a GTM container.
+ *
+ * @param {GtmContainer} container the GTM container to load
+ * @param {String} phase the phase the container belongs to
+ * @param {Boolean} held whether the container was held back until consent was granted
+ * @returns {Promise} a promise that resolves once the container is loaded or failed
+ */
+function loadContainer({ id }, phase, held = false) {
+  logDebug.bind(this)('container', `${id} injected in the ${phase} phase${held ? ', once consent was granted' : ''}`);
+  const host = getTaggingServer(this.config.taggingServer, 'containers', id) || GTM_HOST;
+  return injectScript.bind(this)(`${host}/gtm.js?id=${id}&l=${this.config.dataLayerInstanceName}`, {
+    type: 'container', id, phase,
   });
 }
 
 /**
  * Load GTM containers for the specified phase.
+ * Containers requiring consent that was not granted yet are held back until it is.
  *
  * @param {String} phase the phase to load
+ * @returns {Promise} a promise that resolves once the containers that were not held back are loaded or failed
  */
 function loadGtm(phase) {
   if (!this.config.analytics) {
     // eslint-disable-next-line no-console
     console.warn('Analytics is disabled in the martech config');
-    return;
+    return Promise.resolve();
   }
+  const loading = [];
   if (this.config.containers[phase]?.length > 0) {
-    this.pushToDataLayer({ event: 'gtm.js', [`gtm.${phase}.start`]: Date.now() });
-    this.config.containers[phase].forEach((container) => {
-      loadScript(`${GTM_HOST}/gtm.js?id=${container}&l=${this.config.dataLayerInstanceName}`);
+    this.dataLayer.push({ event: 'gtm.js', [`gtm.${phase}.start`]: Date.now() });
+    this.config.containers[phase].map(toContainer).forEach((container) => {
+      if (hasConsent.bind(this)(container.requires)) {
+        loading.push(loadContainer.bind(this)(container, phase));
+      } else {
+        this.pendingContainers.push({ ...container, phase });
+      }
     });
   }
+  return Promise.all(loading);
+}
+
+/**
+ * Apply the consent buffer rules of the consent types that are not granted to a data layer event.
+ *
+ * @param {Object} payload the data layer event
+ * @returns {Object|undefined} the event to push, possibly redacted, or undefined if it must be dropped
+ */
+function applyConsentRules(payload) {
+  const rules = Object.entries(this.config.consentBuffer.rules)
+    .filter(([type, rule]) => this.userConsent[type] !== 'granted'
+      && (!rule.events || rule.events.includes(payload?.event)))
+    .map(([, rule]) => rule);
+  if (rules.some((rule) => rule.action === 'drop')) return undefined;
+  const keys = rules.flatMap((rule) => rule.keys || []);
+  return keys.length > 0
+    ? Object.fromEntries(Object.entries(payload).filter(([key]) => !keys.includes(key)))
+    : payload;
+}
+
+/**
+ * Flush the data layer events buffered while consent was pending, in order.
+ * Events are dropped or redacted according to the rules for the consent types that were not granted.
+ */
+function flushEvents() {
+  if (!this.eventBuffer) return;
+  const events = this.eventBuffer;
+  this.eventBuffer = undefined;
+  window.clearTimeout(this.eventBufferTimeout);
+  events.forEach((payload) => {
+    const event = applyConsentRules.bind(this)(payload);
+    if (event !== undefined) this.dataLayer.push(event);
+  });
+}
+
+/**
+ * Validate a data layer event against its schema.
+ *
+ * @param {EventSchema} schema the schema registered for the event name
+ * @param {Object} payload the data layer event
+ * @returns {Object|undefined} the payload to push, tagged with its errors in 'tag' mode,
+ *                             or undefined if it must be dropped
+ * @throws {EventValidationError} if the event is invalid in 'strict' mode
+ */
+function validateEvent(schema, payload) {
+  const errors = validate(schema, payload);
+  if (errors.length === 0) return payload;
+  switch (this.config.eventValidation.mode) {
+    case 'strict':
+      throw new EventValidationError(payload.event, errors);
+    case 'drop':
+      return undefined;
+    case 'tag':
+      return { ...payload, validation_errors: errors.map(formatError) };
+    default:
+      // eslint-disable-next-line no-console
+      console.warn(`Invalid ${payload.event} event:`, errors.map(formatError), payload);
+      return payload;
+  }
+}
+
+/**
+ * Initialize the enabled trackers. Each tracker returns either its decorate callback, or its decorate & reset
+ * callbacks, if any.
+ *
+ * @returns {Promise<Array<Tracker>>} the trackers that need to decorate sections & blocks or reset on page views
+ */
+async function initTrackers() {
+  const trackers = Object.entries(this.config.tracking).filter(([name, options]) => {
+    if (TRACKERS[name]) return options;
+    // eslint-disable-next-line no-console
+    console.warn(`Unknown tracker ${name}, it is ignored`);
+    return false;
+  });
+  const callbacks = await Promise.all(trackers.map(async ([name, options]) => {
+    const { default: init } = await TRACKERS[name]();
+    return init(this, options === true ? {} : options);
+  }));
+  return callbacks.filter(Boolean).map((callback) => (typeof callback === 'function' ? { decorate: callback } : callback));
+}
+
+/**
+ * Schedule the delayed phase.
+ *
+ * @param {DelayedSchedule} schedule the delayed phase schedule
+ * @returns {Function} a function cancelling the schedule
+ */
+function scheduleDelayed(schedule) {
+  const strategies = schedule.strategy === 'first' ? Object.keys(SCHEDULERS) : [schedule.strategy];
+  const cancels = strategies.filter((strategy) => {
+    if (SCHEDULERS[strategy]) return true;
+    // eslint-disable-next-line no-console
+    console.warn(`Unknown delayed phase strategy ${strategy}, the delayed phase must be run manually`);
+    return false;
+  }).map((strategy) => SCHEDULERS[strategy](() => this.delayed(), schedule));
+  return () => cancels.forEach((cancel) => cancel());
+}
+
+/**
+ * Run the delayed phase.
+ */
+async function runDelayed() {
+  emit.bind(this)('phase:start', { phase: 'delayed' });
+  // Load the delayed GTM containers
+  const loading = loadGtm.bind(this)('delayed');
+  this.readiness.delayed.resolve(loading);
+  if (this.config.scriptLoader.wait) {
+    await loading;
+  }
+  emit.bind(this)('phase:end', { phase: 'delayed' });
+}
+
+/**
+ * Send a virtual page view when the url changes through the History API, ignoring hash changes.
+ */
+function listenToHistory() {
+  let timeout;
+  const onChange = () => {
+    window.clearTimeout(timeout);
+    // Let the application update the content & title first
+    timeout = window.setTimeout(() => {
+      if (window.location.href.split('#')[0] !== this.pageLocation.split('#')[0]) {
+        this.pageView();
+      }
+    }, 0);
+  };
+  ['pushState', 'replaceState'].forEach((method) => {
+    const original = window.history[method];
+    window.history[method] = (...args) => {
+      const result = original.apply(window.history, args);
+      onChange();
+      return result;
+    };
+  });
+  window.addEventListener('popstate', onChange);
 }
 
 /**
  * Observe for Section & Block elements so projects can decorate with DataLayer events.
  *
  * @param {Function} fn the function to call for each found section or block
+ * @returns {Function} a function re-scanning the page for sections & blocks that were not decorated yet,
+ *                     e.g. after the main content was replaced
  */
 function observeElements(fn) {
   // Protect against double decoration
@@ -201,6 +975,15 @@ function observeElements(fn) {
 
   // Decorate any already loaded Section & Block elements
   document.querySelectorAll('[data-block-status="loaded"],[data-section-status="loaded"]').forEach(decorate);
+
+  return () => {
+    // The main element itself may have been replaced
+    loadingObserver.observe(document.querySelector('main'), opts);
+    document.querySelectorAll('main, .fragment-wrapper').forEach((el) => {
+      addedObserver.observe(el, { childList: true });
+    });
+    document.querySelectorAll('[data-block-status="loaded"],[data-section-status="loaded"]').forEach(decorate);
+  };
 }
 
 /**
@@ -211,7 +994,34 @@ function observeElements(fn) {
  * @function lazy Operations to perform during the lazy phase
  * @function delayed Operations to perform during the delayed phase
  * @function pushToDataLayer Push a payload to the data layer
+ * @function pageView Send a virtual page view
+ * @function registerEventSchema Register the schema of a data layer event
+ * @function detectAdBlocker Detect whether an ad blocker is active
+ * @function ready Wait for the scripts of a phase to be loaded or failed
+ * @function on Register a lifecycle event handler
+ * @function off Unregister a lifecycle event handler
  * @function updateUserConsent Update the consent config
+ * @property {Promise|undefined} delayedPhase The delayed phase, once it started
+ * @property {Function|undefined} cancelDelayedSchedule Cancel the delayed phase schedule, once the lazy phase started it
+ * @property {Map<String, Set<eventHandler>>} listeners The lifecycle event handlers, keyed by event name
+ * @property {Object<String, Object>} readiness The promises returned by `ready`, with their resolve function, by phase
+ * @property {Function} gtag The gtag function of this instance, pushing to its data layer
+ * @property {Object|undefined} storedConsent The consent choices restored from the consent storage, if any
+ * @property {Object} userConsent The consent choices the visitor made, restored or updated during this page view,
+ *                                over the global consent defaults
+ * @property {Array<GtmContainer>} pendingContainers The GTM containers held back until consent is granted, with their `phase`
+ * @property {Map<String, ScriptEntry>} scripts The scripts this instance loaded, keyed by url
+ * @property {Promise<Boolean>|undefined} adBlocker The result of the ad blocker detection, once it started
+ * @property {Array<Object>|undefined} eventBuffer The data layer events held back while consent is pending, if buffering
+ * @property {Array<Object>|undefined} debugLog The entries of the debug panel, with their time, type, message & data,
+ *                                           if it is enabled
+ * @property {Array<Tracker>} trackers The automatic trackers initialized during the lazy phase
+ * @property {Object} explicitPageMetadata The configured `pageMetadata`, without the values extracted from the `<meta>` tags
+ * @property {String} pageLocation The url of the current page view, updated on virtual page views
+ * @property {Function|undefined} rescanElements Decorate the sections & blocks that were not decorated yet, once the
+ *                                               lazy phase started observing them
+ * @property {Boolean|undefined} emitsDecorated Whether the lazy phase announces the decorated elements, once it started
+ * @property {Object<String, Function>} ecommerce The typed GA4 ecommerce API, e.g. `ecommerce.addToCart(items, params)`
  */
 class GtmMartech {
   /**
@@ -231,81 +1041,351 @@ class GtmMartech {
       // eslint-disable-next-line no-param-reassign
       martechConfig.containers = { lazy: martechConfig.containers, delayed: [] };
     }
+    if (typeof martechConfig.taggingServer === 'string') {
+      // eslint-disable-next-line no-param-reassign
+      martechConfig.taggingServer = { url: martechConfig.taggingServer };
+    }
+    // Keep the explicit page metadata, to merge the metadata of the virtual page views under it
+    this.explicitPageMetadata = { ...martechConfig.pageMetadata };
+    if (martechConfig.pageMetadataMapping) {
+      // eslint-disable-next-line no-param-reassign
+      martechConfig.pageMetadata = {
+        ...extractPageMetadata(martechConfig.pageMetadataMapping),
+        ...martechConfig.pageMetadata,
+      };
+    }
+    // eslint-disable-next-line no-param-reassign
+    martechConfig.eventValidation = {
+      ...DEFAULT_EVENT_VALIDATION,
+      ...martechConfig.eventValidation,
+      schemas: { ...martechConfig.eventValidation?.schemas },
+    };
+    // eslint-disable-next-line no-param-reassign
+    martechConfig.scriptLoader = { ...DEFAULT_SCRIPT_LOADER, ...martechConfig.scriptLoader };
+    if (martechConfig.delayedSchedule) {
+      // eslint-disable-next-line no-param-reassign
+      martechConfig.delayedSchedule = {
+        ...DEFAULT_DELAYED_SCHEDULE,
+        ...(martechConfig.delayedSchedule === true ? {} : martechConfig.delayedSchedule),
+      };
+    }
+    if (martechConfig.consentBuffer) {
+      // eslint-disable-next-line no-param-reassign
+      martechConfig.consentBuffer = {
+        ...DEFAULT_CONSENT_BUFFER,
+        ...(martechConfig.consentBuffer === true ? {} : martechConfig.consentBuffer),
+      };
+    }
+    // The built-in consent banner relies on the consent storage to only prompt the visitor once
+    if (martechConfig.consentCallback?.requiresConsentStorage && !martechConfig.consentStorage) {
+      // eslint-disable-next-line no-param-reassign
+      martechConfig.consentStorage = true;
+    }
+    if (martechConfig.consentStorage) {
+      // eslint-disable-next-line no-param-reassign
+      martechConfig.consentStorage = {
+        ...DEFAULT_CONSENT_STORAGE,
+        ...(martechConfig.consentStorage === true ? {} : martechConfig.consentStorage),
+      };
+    }
 
     // eslint-disable-next-line no-console
     console.assert(martechConfig.tags?.length > 0, 'No GA4 tag provided.');
 
     this.config = { ...DEFAULT_CONFIG, ...martechConfig };
+    // Projects schedule the delayed phase with `window.setTimeout(martech.delayed, …)`
+    this.delayed = this.delayed.bind(this);
+    this.listeners = new Map();
+    Object.entries(this.config.on).forEach(([event, handler]) => this.on(event, handler));
+    this.readiness = createReadiness();
     this.dataLayer = initDataLayer(this.config.dataLayerInstanceName);
+    this.gtag = createGtag(this.dataLayer);
+    if (this.config.globalGtag) {
+      installGtag(this.gtag);
+    }
+    // Show the debug panel, and record everything from the start until it is loaded
+    if (isDebugEnabled(this.config.debug)) {
+      this.debugLog = [];
+      recordDataLayer.bind(this)();
+      import('./debug.js').then(({ default: showDebugPanel }) => showDebugPanel(this)).catch((e) => {
+        // eslint-disable-next-line no-console
+        console.warn('The debug panel could not be shown:', e);
+      });
+    }
     // Default consent, if specified
+    let defaultConsent;
     if (this.config.consent) {
-      window.gtag('consent', 'default', DEFAULT_CONSENT);
+      const consentDefaults = getConsentDefaults(this.config.consentDefaults);
+      consentDefaults.forEach((defaults) => {
+        this.gtag('consent', 'default', defaults);
+        emit.bind(this)('consent:default', { consent: defaults });
+      });
+      // Without region rules, the global fallback applies to every visitor, the region rules are evaluated by Google
+      if (consentDefaults.length === 1) {
+        const { wait_for_update: _, ...defaults } = consentDefaults[0];
+        defaultConsent = defaults;
+      }
+      // Restore the returning visitor's choices, if persisted
+      this.storedConsent = this.config.consentStorage ? readConsent(this.config.consentStorage) : undefined;
+      if (this.storedConsent) {
+        this.gtag('consent', 'update', this.storedConsent);
+        emit.bind(this)('consent:update', { consent: this.storedConsent });
+      }
+    }
+    this.userConsent = { ...defaultConsent, ...this.storedConsent };
+    this.pendingContainers = [];
+    this.scripts = new Map();
+    this.trackers = [];
+    this.pageLocation = window.location.href;
+    this.ecommerce = createEcommerce(this);
+    // Buffer the data layer events until consent is known, unless it was restored
+    if (this.config.consent && this.config.consentBuffer && !this.storedConsent) {
+      this.eventBuffer = [];
     }
-    window.gtag('js', new Date());
+    this.gtag('js', new Date());
     this.config.tags.forEach((tag) => {
-      window.gtag('config', tag, this.config.pageMetadata);
+      const server = getTaggingServer(this.config.taggingServer, 'tags', tag);
+      this.gtag('config', tag, server
+        ? { ...this.config.pageMetadata, server_container_url: server, transport_url: server }
+        : this.config.pageMetadata);
     });
   }
 
   /**
-   * Operations to perform during the eager phase
+   * Operations to perform during the eager phase.
+   * Resolves once the GA4 tags are loaded or failed, if the script loader is set to wait for them.
    */
   async eager() {
+    emit.bind(this)('phase:start', { phase: 'eager' });
+    // Start collecting the Core Web Vitals as early as possible, without holding back the eager phase
+    if (this.config.webVitals) {
+      import('./tracking/vitals.js').then(({ default: trackWebVitals }) => {
+        trackWebVitals(this, this.config.webVitals === true ? {} : this.config.webVitals);
+      }).catch((e) => {
+        // eslint-disable-next-line no-console
+        console.warn('The Core Web Vitals reporting could not be started:', e);
+      });
+    }
     // Load the GA4 tag(s) if analytics is enabled
     if (this.config.analytics) {
-      initGa(this.config.dataLayerInstanceName, this.config.tags);
+      const loading = initGa.bind(this)(this.config.dataLayerInstanceName, this.config.tags, this.config.taggingServer);
+      this.readiness.eager.resolve(loading);
+      if (this.config.scriptLoader.wait) {
+        await loading;
+      }
     } else {
       // eslint-disable-next-line no-console
       console.warn('Analytics is disabled in the martech config');
+      this.readiness.eager.resolve();
     }
+    emit.bind(this)('phase:end', { phase: 'eager' });
   }
 
   /**
-   * Operations to perform during the lazy phase
+   * Operations to perform during the lazy phase.
+   * Resolves once the lazy GTM containers are loaded or failed, if the script loader is set to wait for them.
    */
   async lazy() {
+    emit.bind(this)('phase:start', { phase: 'lazy' });
     // Update consent, if specified
     if (this.config.consent) {
-      this.config.consentCallback().then((consentConfig) => {
+      if (this.eventBuffer) {
+        this.eventBufferTimeout = window.setTimeout(flushEvents.bind(this), this.config.consentBuffer.timeout);
+      }
+      this.config.consentCallback(this).then((consentConfig) => {
         if (consentConfig !== undefined) {
           this.updateUserConsent(consentConfig);
         }
+        flushEvents.bind(this)();
       });
     }
-    this.pushToDataLayer({ event: 'gtm.js', 'gtm.start': Date.now() });
+    this.dataLayer.push({ event: 'gtm.js', 'gtm.start': Date.now() });
     // Load the lazy GTM containers
-    loadGtm.bind(this)('lazy');
-    if (this.config.decorateCallback) {
-      observeElements(this.config.decorateCallback);
+    const loading = loadGtm.bind(this)('lazy');
+    this.readiness.lazy.resolve(loading);
+    this.trackers = await initTrackers.bind(this)();
+    const decorators = [this.config.decorateCallback, ...this.trackers.map((tracker) => tracker.decorate)]
+      .filter(Boolean);
+    if (this.debugLog) {
+      decorators.push((el) => logDebug.bind(this)('element', `Decorated ${el.dataset.blockName || 'section'}`));
+    }
+    // Only observe the elements for the 'element:decorated' handlers registered before the lazy phase
+    this.emitsDecorated = this.listeners.get('element:decorated')?.size > 0;
+    if (this.emitsDecorated) {
+      decorators.push((el) => emit.bind(this)('element:decorated', { element: el }));
+    }
+    if (decorators.length > 0) {
+      this.rescanElements = observeElements((el) => decorators.forEach((fn) => fn(el)));
+    }
+    if (this.config.historyPageViews) {
+      listenToHistory.bind(this)();
+    }
+    if (this.config.delayedSchedule) {
+      this.cancelDelayedSchedule = scheduleDelayed.bind(this)(this.config.delayedSchedule);
+    }
+    if (this.config.scriptLoader.wait) {
+      await loading;
+    }
+    emit.bind(this)('phase:end', { phase: 'lazy' });
+  }
+
+  /**
+   * Operations to perform during the delayed phase, only once: later calls return the same promise.
+   * Resolves once the delayed GTM containers are loaded or failed, if the script loader is set to wait for them.
+   *
+   * @returns {Promise} a promise that resolves once the delayed phase ended
+   */
+  delayed() {
+    this.cancelDelayedSchedule?.();
+    if (!this.delayedPhase) {
+      this.delayedPhase = runDelayed.bind(this)();
     }
+    return this.delayedPhase;
   }
 
   /**
-   * Operations to perform during the delayed phase
+   * Wait for a phase to run, and its scripts to be loaded or failed.
+   * The GTM containers held back until consent is granted are not waited for.
+   *
+   * @param {String} phase The phase name, either 'eager', 'lazy' or 'delayed'
+   * @returns {Promise|undefined} a promise that resolves once the phase scripts are loaded or failed,
+   *                              or undefined for an unknown phase
    */
-  async delayed() {
-    // Load the delayed GTM containers
-    loadGtm.bind(this)('delayed');
+  ready(phase) {
+    return this.readiness[phase]?.promise;
   }
 
   /**
-   * Push a payload to the data layer
+   * Register a handler for a lifecycle event: 'phase:start', 'phase:end', 'tag:loaded', 'container:loaded',
+   * 'consent:default', 'consent:update' or 'element:decorated'.
+   * The 'element:decorated' handlers must be registered before the lazy phase, a warning is logged otherwise.
+   *
+   * @param {String} event The event name
+   * @param {eventHandler} handler The function called with the event details
+   */
+  on(event, handler) {
+    if (event === 'element:decorated' && this.emitsDecorated === false) {
+      // eslint-disable-next-line no-console
+      console.warn('The element:decorated handlers must be registered before the lazy phase, this one is never called');
+    }
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, new Set());
+    }
+    this.listeners.get(event).add(handler);
+  }
+
+  /**
+   * Unregister a lifecycle event handler.
+   *
+   * @param {String} event The event name
+   * @param {eventHandler} handler The function registered with `on`
+   */
+  off(event, handler) {
+    this.listeners.get(event)?.delete(handler);
+  }
+
+  /**
+   * Push a payload to the data layer, or buffer it while consent is pending.
+   * The payload is first validated against the schema registered for its event name, if any, and then the consent
+   * buffer rules of the consent types that are not granted are applied to it.
    *
    * @param {Object} payload The payload to push to the data layer
+   * @throws {EventValidationError} if the event is invalid in 'strict' validation mode
    */
   pushToDataLayer(payload) {
-    this.dataLayer.push(payload);
+    let event = payload;
+    const schema = this.config.eventValidation.schemas[payload?.event];
+    if (schema) {
+      event = validateEvent.bind(this)(schema, payload);
+      if (!event) return;
+    }
+    if (this.eventBuffer) {
+      this.eventBuffer.push(event);
+      return;
+    }
+    // Once flushed, the rules still apply until their consent type is granted
+    if (this.config.consent && this.config.consentBuffer) {
+      event = applyConsentRules.bind(this)(event);
+      if (event === undefined) return;
+    }
+    this.dataLayer.push(event);
   }
 
   /**
-   * Update the consent config
+   * Send a virtual page view to every GA4 tag, e.g. after the main content was replaced client-side.
+   * The per-page state of the trackers is reset, and the new sections & blocks are decorated.
+   * The `pageMetadataMapping` is extracted again from the `<meta>` tags of the new page.
+   *
+   * @param {Object} metadata The page metadata of the new page, merged over the configured page metadata
+   */
+  pageView(metadata = {}) {
+    this.trackers.forEach((tracker) => tracker.reset?.());
+    const params = {
+      ...extractPageMetadata(this.config.pageMetadataMapping),
+      ...this.explicitPageMetadata,
+      page_location: window.location.href,
+      page_referrer: this.pageLocation,
+      page_title: document.title,
+      ...metadata,
+    };
+    this.pageLocation = window.location.href;
+    this.config.tags.forEach((tag) => {
+      this.gtag('event', 'page_view', { ...params, send_to: tag });
+    });
+    this.rescanElements?.();
+  }
+
+  /**
+   * Register the schema of an event, replacing any previous one
+   *
+   * @param {String} event The event name
+   * @param {EventSchema} schema The schema the event payloads must match
+   */
+  registerEventSchema(event, schema) {
+    this.config.eventValidation.schemas[event] = schema;
+  }
+
+  /**
+   * Detect whether an ad blocker is active, with a bait element that the ad blockers hide or remove.
+   * The detection only runs once, and its result is shared by every call. If the detection fails, for instance
+   * because its module was blocked, an ad blocker is reported and the next call runs the detection again.
+   *
+   * @returns {Promise<Boolean>} a promise that resolves to true if an ad blocker was detected
+   */
+  detectAdBlocker() {
+    if (!this.adBlocker) {
+      // The module name avoids the "adblock" patterns of the ad blocker filter lists
+      this.adBlocker = import('./probe.js')
+        .then(({ default: detectAdBlocker }) => detectAdBlocker())
+        .catch(() => {
+          this.adBlocker = undefined;
+          return true;
+        });
+    }
+    return this.adBlocker;
+  }
+
+  /**
+   * Update the consent config, and persist it if consent storage is enabled
    *
    * @param {Object} consentConfig The consent config to update
    */
-  // eslint-disable-next-line class-methods-use-this
   updateUserConsent(consentConfig) {
-    window.gtag('consent', 'update', consentConfig);
+    this.gtag('consent', 'update', consentConfig);
+    emit.bind(this)('consent:update', { consent: consentConfig });
+    this.userConsent = { ...this.userConsent, ...consentConfig };
+    if (this.config.consentStorage) {
+      writeConsent(this.config.consentStorage, { ...readConsent(this.config.consentStorage), ...consentConfig });
+    }
+    flushEvents.bind(this)();
+    // Load the containers that were held back until consent was granted
+    this.pendingContainers = this.pendingContainers.filter((container) => {
+      if (!hasConsent.bind(this)(container.requires)) return true;
+      loadContainer.bind(this)(container, container.phase, true);
+      return false;
+    });
   }
 }
 
+export { EventValidationError };
 export default GtmMartech;
@@ -0,0 +1,38 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+// The class names of the bait element, matched by the cosmetic filters of the common ad blocker lists
+const BAIT_CLASSES = 'adsbox ad-banner ad-placement pub_300x250 text-ad textAd';
+
+/**
+ * Detect whether an ad blocker is active, using a bait element that looks like an ad.
+ * Ad blockers hide or remove such elements, which this heuristic then reports. It can miss the ad blockers
+ * that only block requests, and report the cosmetic filters of other extensions.
+ *
+ * @param {Number} delay The time given to the ad blockers to apply their filters, in milliseconds
+ * @returns {Promise<Boolean>} A promise that resolves to true if an ad blocker was detected
+ */
+export default async function detectAdBlocker(delay = 100) {
+  const bait = document.createElement('div');
+  bait.className = BAIT_CLASSES;
+  bait.setAttribute('aria-hidden', 'true');
+  bait.style.cssText = 'position: absolute; left: -9999px; width: 1px; height: 1px;';
+  bait.innerHTML = '&nbsp;';
+  document.body.append(bait);
+  await new Promise((resolve) => {
+    window.setTimeout(resolve, delay);
+  });
+  const style = window.getComputedStyle(bait);
+  const blocked = !bait.isConnected || style.display === 'none' || style.visibility === 'hidden';
+  bait.remove();
+  return blocked;
+}
@@ -0,0 +1,34 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import { getDataParams, getElementContext } from './utils.js';
+
+/**
+ * Declarative click tracking.
+ *
+ * Clicks on elements with a `data-gtm-event` attribute push that event to the data layer, along with the
+ * `data-gtm-*` parameters of the element and its ancestors, and the block & section context.
+ * The listener is delegated on the document, so elements added later (e.g. fragments) are tracked too.
+ *
+ * @param {GtmMartech} martech the plugin instance
+ */
+export default function trackClicks(martech) {
+  document.addEventListener('click', (ev) => {
+    const el = ev.target.closest?.('[data-gtm-event]');
+    if (!el) return;
+    martech.pushToDataLayer({
+      event: el.dataset.gtmEvent,
+      ...getElementContext(el),
+      ...getDataParams(el),
+    });
+  }, { capture: true, passive: true });
+}
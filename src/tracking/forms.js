@@ -0,0 +1,138 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import { getElementContext } from './utils.js';
+
+// The ValidityState flags reported as field errors, in order of precedence
+const VALIDITY_ERRORS = [
+  'valueMissing', 'typeMismatch', 'patternMismatch', 'tooLong', 'tooShort',
+  'rangeUnderflow', 'rangeOverflow', 'stepMismatch', 'badInput', 'customError',
+];
+
+// The event projects dispatch on a form to report the outcome of its submission, e.g. once a fetch completed
+const RESULT_EVENT = 'gtm-martech-form-result';
+
+/**
+ * Get the name of a form field. Field values are never read.
+ *
+ * @param {Element} field the form field
+ * @returns {String} the field name, id or type
+ */
+function getFieldName(field) {
+  return field.name || field.id || field.type;
+}
+
+/**
+ * Check if all the fields of a form are valid, without dispatching `invalid` events.
+ *
+ * @param {HTMLFormElement} form the form
+ * @returns {Boolean} true if all fields are valid
+ */
+function isValid(form) {
+  return [...form.elements].every((field) => !field.willValidate || field.validity.valid);
+}
+
+/**
+ * Track the forms of the sections & blocks as they are decorated, pushing:
+ * - `form_start` on the first interaction with a form
+ * - `form_field_error` for each field failing validation
+ * - `form_submit` with the submission status, i.e. whether all the fields are valid
+ * - `form_submit_result` with the outcome the project reported with a `gtm-martech-form-result` event on the form,
+ *   e.g. `new CustomEvent('gtm-martech-form-result', { detail: { status: 'failure', error: 'Server error' } })`
+ * - `form_abandon` with the last field touched, if the visitor leaves the page after starting the form without
+ *   submitting it. Hiding the page, e.g. switching tabs, does not abandon the forms, as the visitor may come back.
+ *
+ * Forms are identified by the `data-gtm-form` attribute of the form or its ancestors, or by their block name.
+ * On virtual page views, the forms started but not submitted are abandoned, and the remaining forms can be
+ * started again.
+ *
+ * @param {GtmMartech} martech the plugin instance
+ * @returns {Object} the decorate & reset callbacks
+ */
+export default function trackForms(martech) {
+  const forms = new Map();
+  // Identified when decorated, so forms removed by a virtual page view can still be reported
+  const contexts = new WeakMap();
+
+  const push = (event, form, params = {}) => {
+    martech.pushToDataLayer({ event, ...contexts.get(form), ...params });
+  };
+
+  const abandon = () => {
+    forms.forEach((state, form) => {
+      if (!state.started || state.submitted || state.abandoned) return;
+      // eslint-disable-next-line no-param-reassign
+      state.abandoned = true;
+      push('form_abandon', form, { form_last_field: state.lastField });
+    });
+  };
+  window.addEventListener('pagehide', abandon);
+
+  const decorate = (el) => {
+    el.querySelectorAll('form').forEach((form) => {
+      // Sections and their blocks are both decorated, only track each form once
+      if (forms.has(form)) return;
+      const state = {};
+      forms.set(form, state);
+      const context = getElementContext(form);
+      contexts.set(form, {
+        form_id: form.closest('[data-gtm-form]')?.dataset.gtmForm || context.block_name || form.id,
+        ...context,
+      });
+
+      const onInteraction = (ev) => {
+        state.lastField = getFieldName(ev.target);
+        if (state.started) return;
+        state.started = true;
+        push('form_start', form);
+      };
+      form.addEventListener('focusin', onInteraction);
+      form.addEventListener('input', onInteraction);
+
+      // The invalid event does not bubble
+      form.addEventListener('invalid', (ev) => {
+        push('form_field_error', form, {
+          form_field: getFieldName(ev.target),
+          form_error: VALIDITY_ERRORS.find((error) => ev.target.validity[error]),
+        });
+      }, true);
+
+      form.addEventListener('submit', () => {
+        state.submitted = true;
+        push('form_submit', form, { form_submit_status: isValid(form) ? 'success' : 'failure' });
+      });
+
+      form.addEventListener(RESULT_EVENT, (ev) => {
+        state.submitted = true;
+        const { status, error } = ev.detail || {};
+        push('form_submit_result', form, {
+          form_submit_status: status === 'failure' ? 'failure' : 'success',
+          ...(error ? { form_error: String(error) } : {}),
+        });
+      });
+    });
+  };
+
+  const reset = () => {
+    abandon();
+    forms.forEach((state, form) => {
+      if (!form.isConnected) {
+        forms.delete(form);
+        return;
+      }
+      // eslint-disable-next-line no-param-reassign
+      Object.keys(state).forEach((key) => delete state[key]);
+    });
+  };
+
+  return { decorate, reset };
+}
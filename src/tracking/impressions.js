@@ -0,0 +1,139 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import { getElementContext, onPageHide } from './utils.js';
+
+/**
+ * Block impression tracking.
+ *
+ * @typedef {Object} ImpressionTrackingOptions
+ * @property {Array<String>} blocks The names of the blocks to track (defaults to all blocks)
+ * @property {Number} visibility The ratio of a block that must be visible for it to be seen
+ * @property {Number} duration The time in milliseconds a block must stay visible for it to be seen
+ * @property {Number} batchDelay The time in milliseconds impressions are collected before being pushed together
+ */
+
+const DEFAULT_OPTIONS = Object.freeze({
+  blocks: undefined,
+  visibility: 0.5,
+  duration: 1000,
+  batchDelay: 2000,
+});
+
+// The ratios at which the visibility of the blocks is checked, so that the blocks taller than the viewport, which
+// may never reach the visibility ratio, are checked while they scroll by
+const THRESHOLDS = Object.freeze([...Array(21).keys()].map((i) => i / 20));
+
+/**
+ * Check whether a block is visible enough to be seen: either the visibility ratio of the block is in the viewport,
+ * or the block covers the same ratio of the viewport.
+ *
+ * @param {IntersectionObserverEntry} entry the intersection of the block
+ * @param {Number} visibility the visibility ratio
+ * @returns {Boolean} true if the block is visible
+ */
+function isVisible({ intersectionRatio, intersectionRect, rootBounds }, visibility) {
+  if (intersectionRatio >= visibility) return true;
+  return rootBounds?.height > 0 && intersectionRect.height / rootBounds.height >= visibility;
+}
+
+/**
+ * Describe a block for the impression event.
+ *
+ * @param {Element} block the block element
+ * @returns {Object} the block name, position, variants and section index
+ */
+function toImpression(block) {
+  const name = block.dataset.blockName;
+  return {
+    block_name: name,
+    block_position: [...document.querySelectorAll('.block[data-block-name]')].indexOf(block),
+    block_variants: [...block.classList].filter((c) => c !== 'block' && c !== name).join(' '),
+    ...getElementContext(block),
+  };
+}
+
+/**
+ * Track the blocks as they are decorated, and push a batched `block_impression` event for the blocks that stayed
+ * visible long enough. Each block is only counted once per page view.
+ *
+ * @param {GtmMartech} martech the plugin instance
+ * @param {ImpressionTrackingOptions} options the tracking options
+ * @returns {Object|undefined} the decorate & reset callbacks, or undefined if IntersectionObserver is not supported
+ */
+export default function trackImpressions(martech, options) {
+  if (!window.IntersectionObserver) {
+    // eslint-disable-next-line no-console
+    console.warn('IntersectionObserver is not supported, impression tracking is disabled');
+    return undefined;
+  }
+  const {
+    blocks, visibility, duration, batchDelay,
+  } = { ...DEFAULT_OPTIONS, ...options };
+  const timers = new Map();
+  const counted = new Set();
+  let batch = [];
+  let batchTimer;
+
+  const flush = () => {
+    window.clearTimeout(batchTimer);
+    batchTimer = undefined;
+    if (batch.length === 0) return;
+    martech.pushToDataLayer({ event: 'block_impression', blocks: batch });
+    batch = [];
+  };
+
+  const observer = new window.IntersectionObserver((entries) => {
+    entries.forEach((entry) => {
+      const { target } = entry;
+      if (!isVisible(entry, visibility)) {
+        window.clearTimeout(timers.get(target));
+        timers.delete(target);
+        return;
+      }
+      if (timers.has(target)) return;
+      timers.set(target, window.setTimeout(() => {
+        timers.delete(target);
+        observer.unobserve(target);
+        counted.add(target);
+        batch.push(toImpression(target));
+        batchTimer = batchTimer || window.setTimeout(flush, batchDelay);
+      }, duration));
+    });
+  }, { threshold: [...THRESHOLDS, visibility] });
+
+  // Don't lose the pending impressions when the visitor leaves
+  onPageHide(flush);
+
+  return {
+    decorate: (el) => {
+      const name = el.dataset.blockName;
+      if (!el.dataset.blockStatus || !name || (blocks && !blocks.includes(name))) return;
+      observer.observe(el);
+    },
+    // Push the impressions of the previous page, blocks that remain on the new page can be counted again
+    reset: () => {
+      flush();
+      // Observe the pending blocks again, so that those remaining visible report their intersection again
+      timers.forEach((timer, block) => {
+        window.clearTimeout(timer);
+        observer.unobserve(block);
+        if (block.isConnected) observer.observe(block);
+      });
+      timers.clear();
+      counted.forEach((block) => {
+        if (block.isConnected) observer.observe(block);
+      });
+      counted.clear();
+    },
+  };
+}
@@ -0,0 +1,105 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import { getElementContext, MAX_LENGTH } from './utils.js';
+
+/**
+ * Automatic outbound link, mailto/tel and file download tracking.
+ *
+ * @typedef {Object} LinkTrackingOptions
+ * @property {Array<String>} internalDomains The domains (and their subdomains) considered internal, in addition to the
+ *                                           current hostname
+ * @property {Array<String>} downloadExtensions The file extensions tracked as downloads
+ */
+
+const DEFAULT_OPTIONS = Object.freeze({
+  internalDomains: [],
+  downloadExtensions: [
+    '7z', 'csv', 'doc', 'docx', 'dmg', 'exe', 'gz', 'key', 'mov', 'mp3', 'mp4', 'pdf', 'pkg', 'ppt', 'pptx',
+    'rar', 'rtf', 'txt', 'wav', 'xls', 'xlsx', 'zip',
+  ],
+});
+
+/**
+ * Classify a link and build the matching data layer event.
+ *
+ * @param {HTMLAnchorElement} a the link
+ * @param {LinkTrackingOptions} options the tracking options
+ * @returns {Object|undefined} the event to push, or undefined if the link is not tracked
+ */
+function toEvent(a, { internalDomains, downloadExtensions }) {
+  let url;
+  try {
+    url = new URL(a.href, window.location.href);
+  } catch (e) {
+    // Unparseable links are not tracked
+    return undefined;
+  }
+  const params = {
+    link_url: a.href,
+    link_text: a.textContent.trim().substring(0, MAX_LENGTH),
+    ...getElementContext(a),
+  };
+
+  if (url.protocol === 'mailto:' || url.protocol === 'tel:') {
+    // The email address or phone number is personal data, which must not be sent to GA4
+    return {
+      event: 'click',
+      link_type: url.protocol === 'mailto:' ? 'email' : 'phone',
+      outbound: true,
+      ...params,
+      link_url: url.protocol,
+    };
+  }
+  if (!url.protocol.startsWith('http')) return undefined;
+
+  const fileName = url.pathname.split('/').pop();
+  const extension = fileName.includes('.') ? fileName.split('.').pop().toLowerCase() : undefined;
+  if (downloadExtensions.includes(extension)) {
+    return {
+      event: 'file_download', file_extension: extension, file_name: fileName, ...params,
+    };
+  }
+
+  const { hostname } = url;
+  const internal = hostname === window.location.hostname
+    || internalDomains.some((domain) => hostname === domain || hostname.endsWith(`.${domain}`));
+  if (!internal) {
+    return {
+      event: 'click', link_type: 'outbound', link_domain: hostname, outbound: true, ...params,
+    };
+  }
+  return undefined;
+}
+
+/**
+ * Track the links of the sections & blocks as they are decorated.
+ *
+ * @param {GtmMartech} martech the plugin instance
+ * @param {LinkTrackingOptions} options the tracking options
+ * @returns {Function} the decorate callback
+ */
+export default function trackLinks(martech, options) {
+  const opts = { ...DEFAULT_OPTIONS, ...options };
+  // Sections and their blocks are both decorated, only track each link once
+  const tracked = new WeakSet();
+  return (el) => {
+    el.querySelectorAll('a[href]').forEach((a) => {
+      if (tracked.has(a)) return;
+      tracked.add(a);
+      a.addEventListener('click', () => {
+        const event = toEvent(a, opts);
+        if (event) martech.pushToDataLayer(event);
+      }, { passive: true });
+    });
+  };
+}
@@ -0,0 +1,99 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import { getElementContext, MAX_LENGTH } from './utils.js';
+
+/**
+ * Section-level scroll depth and content consumption tracking.
+ *
+ * @typedef {Object} ScrollTrackingOptions
+ * @property {Array<Number>} milestones The scroll depth percentages to push an event for
+ * @property {Number} visibility The ratio of a section that must be visible for it to be viewed. Sections taller than
+ *                               the viewport are also viewed once they reach the middle of the viewport.
+ */
+
+const DEFAULT_OPTIONS = Object.freeze({
+  milestones: [25, 50, 75, 100],
+  visibility: 0.5,
+});
+
+/**
+ * Track the sections as they are decorated, pushing a `section_view` event for each section viewed, and a
+ * `scroll_depth` event for each milestone reached. Events are only pushed once per page view.
+ *
+ * @param {GtmMartech} martech the plugin instance
+ * @param {ScrollTrackingOptions} options the tracking options
+ * @returns {Object|undefined} the decorate & reset callbacks, or undefined if IntersectionObserver is not supported
+ */
+export default function trackScroll(martech, options) {
+  if (!window.IntersectionObserver) {
+    // eslint-disable-next-line no-console
+    console.warn('IntersectionObserver is not supported, scroll tracking is disabled');
+    return undefined;
+  }
+  const { milestones, visibility } = { ...DEFAULT_OPTIONS, ...options };
+  const viewed = new Set();
+  const reached = new Set();
+
+  const pushMilestones = (section) => {
+    const sections = [...document.querySelectorAll('main > .section')];
+    const index = sections.indexOf(section);
+    if (index < 0) return;
+    const depth = ((index + 1) / sections.length) * 100;
+    milestones
+      .filter((milestone) => milestone <= depth && !reached.has(milestone))
+      .sort((a, b) => a - b)
+      .forEach((milestone) => {
+        reached.add(milestone);
+        martech.pushToDataLayer({ event: 'scroll_depth', percent_scrolled: milestone });
+      });
+  };
+
+  const onIntersect = (entries) => {
+    entries.filter((entry) => entry.isIntersecting && !viewed.has(entry.target)).forEach(({ target }) => {
+      viewed.add(target);
+      // eslint-disable-next-line no-use-before-define
+      [visibilityObserver, centerObserver].forEach((observer) => observer.unobserve(target));
+      const heading = target.querySelector('h1, h2, h3, h4, h5, h6');
+      martech.pushToDataLayer({
+        event: 'section_view',
+        section_index: getElementContext(target).section_index,
+        section_classes: [...target.classList]
+          .filter((name) => name !== 'section' && !name.endsWith('-container'))
+          .join(' '),
+        section_heading: heading ? heading.textContent.trim().substring(0, MAX_LENGTH) : '',
+      });
+      pushMilestones(target);
+    });
+  };
+  const visibilityObserver = new window.IntersectionObserver(onIntersect, { threshold: visibility });
+  const centerObserver = new window.IntersectionObserver(onIntersect, { rootMargin: '-50% 0px -50% 0px' });
+
+  const observe = (el) => {
+    visibilityObserver.observe(el);
+    centerObserver.observe(el);
+  };
+
+  return {
+    decorate: (el) => {
+      if (el.dataset.sectionStatus) observe(el);
+    },
+    // Sections that remain on the new page can be viewed again
+    reset: () => {
+      viewed.forEach((section) => {
+        if (section.isConnected) observe(section);
+      });
+      viewed.clear();
+      reached.clear();
+    },
+  };
+}
@@ -0,0 +1,79 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+// Data attributes used by the plugin itself, which are not event parameters
+const RESERVED_ATTRIBUTES = ['gtmEvent', 'gtmMartechDecorated'];
+
+// GA4 limits parameter values to 100 characters
+export const MAX_LENGTH = 100;
+
+/**
+ * Convert a data attribute key to a GA4 parameter name, e.g. "gtmLinkPosition" to "link_position".
+ *
+ * @param {String} key the dataset key, including the "gtm" prefix
+ * @returns {String} the parameter name
+ */
+function toParamName(key) {
+  return key.substring(3).replace(/([a-z0-9])([A-Z])/g, '$1_$2').toLowerCase();
+}
+
+/**
+ * Get the context of the block & section an element belongs to.
+ *
+ * @param {Element} el the element
+ * @returns {Object} the block name and section index, when the element is in a block or section
+ */
+export function getElementContext(el) {
+  const context = {};
+  const block = el.closest('.block[data-block-name]');
+  if (block) {
+    context.block_name = block.dataset.blockName;
+  }
+  const section = el.closest('.section');
+  if (section) {
+    context.section_index = [...section.parentElement.children]
+      .filter((child) => child.classList.contains('section'))
+      .indexOf(section);
+  }
+  return context;
+}
+
+/**
+ * Collect the `data-gtm-*` parameters of an element and its ancestors, the closest one winning.
+ *
+ * @param {Element} el the element
+ * @returns {Object} the parameters, keyed by their GA4 parameter name
+ */
+export function getDataParams(el) {
+  const params = {};
+  for (let node = el; node?.dataset; node = node.parentElement) {
+    Object.entries(node.dataset)
+      .filter(([key]) => /^gtm[A-Z]/.test(key) && !RESERVED_ATTRIBUTES.includes(key))
+      .forEach(([key, value]) => {
+        const name = toParamName(key);
+        if (!(name in params)) params[name] = value;
+      });
+  }
+  return params;
+}
+
+/**
+ * Call a function when the visitor leaves or hides the page, the last reliable moment to push pending events.
+ *
+ * @param {Function} callback the function to call, possibly several times
+ */
+export function onPageHide(callback) {
+  window.addEventListener('pagehide', callback);
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') callback();
+  });
+}
@@ -0,0 +1,170 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/**
+ * HTML5 and YouTube video engagement tracking.
+ *
+ * @typedef {Object} VideoTrackingOptions
+ * @property {Array<String>} blocks The names of the blocks containing videos
+ * @property {Array<Number>} milestones The progress percentages to push a `video_progress` event for
+ */
+
+const DEFAULT_OPTIONS = Object.freeze({
+  blocks: ['video', 'embed'],
+  milestones: [10, 25, 50, 75],
+});
+
+const YOUTUBE_ORIGIN = /^https:\/\/www\.youtube(-nocookie)?\.com$/;
+const YOUTUBE_EMBED = /^https:\/\/www\.youtube(-nocookie)?\.com\/embed\//;
+
+/**
+ * Create the engagement state machine of a single video.
+ *
+ * @param {GtmMartech} martech the plugin instance
+ * @param {Array<Number>} milestones the progress percentages
+ * @param {Function} describe returns the video parameters at the time of the event
+ * @returns {Object} the `play`, `progress` and `complete` handlers
+ */
+function createVideoTracker(martech, milestones, describe) {
+  const reached = new Set();
+  let started = false;
+  let completed = false;
+  const push = (event, params) => martech.pushToDataLayer({ event, ...describe(), ...params });
+
+  return {
+    play() {
+      if (started) return;
+      started = true;
+      push('video_start', { video_current_time: 0 });
+    },
+    progress(currentTime, duration) {
+      if (!duration) return;
+      const percent = (currentTime / duration) * 100;
+      milestones
+        .filter((milestone) => milestone <= percent && !reached.has(milestone))
+        .sort((a, b) => a - b)
+        .forEach((milestone) => {
+          reached.add(milestone);
+          push('video_progress', { video_percent: milestone, video_current_time: Math.round(currentTime) });
+        });
+    },
+    complete(duration) {
+      if (completed) return;
+      completed = true;
+      push('video_complete', { video_percent: 100, video_current_time: Math.round(duration) });
+    },
+  };
+}
+
+/**
+ * Track a native video through its media events.
+ *
+ * @param {HTMLVideoElement} video the video element
+ * @param {Function} createTracker creates the engagement state machine for the video
+ */
+function trackNativeVideo(video, createTracker) {
+  const src = () => video.currentSrc || video.src || video.querySelector('source')?.src || '';
+  const tracker = createTracker(() => ({
+    video_provider: 'html5',
+    video_title: video.title || video.getAttribute('aria-label') || src().split('/').pop(),
+    video_url: src(),
+    video_duration: Math.round(video.duration) || 0,
+  }));
+  video.addEventListener('play', () => tracker.play());
+  video.addEventListener('timeupdate', () => tracker.progress(video.currentTime, video.duration));
+  video.addEventListener('ended', () => tracker.complete(video.duration));
+}
+
+/**
+ * Track an embedded YouTube player through the postMessage API, without loading the IFrame Player API library.
+ *
+ * @param {HTMLIFrameElement} iframe the YouTube iframe
+ * @param {Function} createTracker creates the engagement state machine for the video
+ */
+function trackYouTubeVideo(iframe, createTracker) {
+  const url = new URL(iframe.src);
+  // The player only posts its state if the JS API is enabled
+  if (url.searchParams.get('enablejsapi') !== '1') {
+    url.searchParams.set('enablejsapi', '1');
+    // eslint-disable-next-line no-param-reassign
+    iframe.src = url.href;
+  }
+
+  let info = {};
+  const tracker = createTracker(() => ({
+    video_provider: 'youtube',
+    video_title: info.videoData?.title || iframe.title,
+    video_url: info.videoUrl || iframe.src,
+    video_duration: Math.round(info.duration) || 0,
+  }));
+
+  // Start listening right away for the players that already loaded, and again once the player (re)loads
+  const listen = () => {
+    iframe.contentWindow.postMessage(JSON.stringify({ event: 'listening', channel: 'widget' }), url.origin);
+  };
+  listen();
+  iframe.addEventListener('load', listen);
+  window.addEventListener('message', (ev) => {
+    if (ev.source !== iframe.contentWindow || !YOUTUBE_ORIGIN.test(ev.origin)) return;
+    let data;
+    try {
+      data = JSON.parse(ev.data);
+    } catch (e) {
+      return;
+    }
+    if (data.event === 'onStateChange') {
+      info = { ...info, playerState: data.info };
+    } else if (data.event === 'infoDelivery' || data.event === 'initialDelivery') {
+      info = { ...info, ...data.info };
+    } else {
+      return;
+    }
+    // Player states: 0 ended, 1 playing
+    if (info.playerState === 1) tracker.play();
+    tracker.progress(info.currentTime, info.duration);
+    if (info.playerState === 0) tracker.complete(info.duration);
+  });
+}
+
+/**
+ * Track the videos of the video & embed blocks as they are decorated, pushing `video_start`, `video_progress`
+ * and `video_complete` events. Videos added to the blocks later (e.g. lazy embeds) are tracked too.
+ *
+ * @param {GtmMartech} martech the plugin instance
+ * @param {VideoTrackingOptions} options the tracking options
+ * @returns {Function} the decorate callback
+ */
+export default function trackVideos(martech, options) {
+  const { blocks, milestones } = { ...DEFAULT_OPTIONS, ...options };
+  const tracked = new WeakSet();
+  const createTracker = (describe) => createVideoTracker(martech, milestones, describe);
+
+  const scan = (block) => {
+    block.querySelectorAll('video, iframe').forEach((media) => {
+      if (tracked.has(media)) return;
+      if (media.tagName === 'VIDEO') {
+        trackNativeVideo(media, createTracker);
+      } else if (YOUTUBE_EMBED.test(media.src)) {
+        trackYouTubeVideo(media, createTracker);
+      } else {
+        return;
+      }
+      tracked.add(media);
+    });
+  };
+
+  return (el) => {
+    if (!el.dataset.blockStatus || !blocks.includes(el.dataset.blockName)) return;
+    scan(el);
+    new MutationObserver(() => scan(el)).observe(el, { childList: true, subtree: true });
+  };
+}
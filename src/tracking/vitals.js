@@ -0,0 +1,205 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import { onPageHide } from './utils.js';
+
+/**
+ * Core Web Vitals reporting.
+ *
+ * @typedef {Object} WebVitalsOptions
+ * @property {Array<String>} metrics The metrics to report, among LCP, CLS, INP, FCP and TTFB (defaults to all)
+ */
+
+const DEFAULT_OPTIONS = Object.freeze({
+  metrics: ['LCP', 'CLS', 'INP', 'FCP', 'TTFB'],
+});
+
+// The upper bounds of the "good" and "needs-improvement" ratings, as defined on https://web.dev/articles/vitals
+const THRESHOLDS = Object.freeze({
+  LCP: [2500, 4000],
+  CLS: [0.1, 0.25],
+  INP: [200, 500],
+  FCP: [1800, 3000],
+  TTFB: [800, 1800],
+});
+
+/**
+ * Build a short CSS selector identifying an element, for attribution.
+ *
+ * @param {Node} node the element
+ * @returns {String} the selector, or an empty string if there is no element
+ */
+function getSelector(node) {
+  const parts = [];
+  let el = node;
+  while (el?.nodeType === Node.ELEMENT_NODE && el.localName !== 'body' && el.localName !== 'html') {
+    if (el.id) {
+      parts.unshift(`${el.localName}#${el.id}`);
+      break;
+    }
+    parts.unshift([el.localName, ...el.classList].join('.'));
+    if (parts.join('>').length > 100) break;
+    el = el.parentNode;
+  }
+  return parts.join('>');
+}
+
+/**
+ * Round a metric value, CLS being a unitless score and the others durations in milliseconds.
+ *
+ * @param {String} name the metric name
+ * @param {Number} value the metric value
+ * @returns {Number} the rounded value
+ */
+function round(name, value) {
+  return name === 'CLS' ? Math.round(value * 10000) / 10000 : Math.round(value);
+}
+
+/**
+ * Rate a metric value.
+ *
+ * @param {String} name the metric name
+ * @param {Number} value the metric value
+ * @returns {String} either 'good', 'needs-improvement' or 'poor'
+ */
+function getRating(name, value) {
+  const [good, poor] = THRESHOLDS[name];
+  if (value <= good) return 'good';
+  return value <= poor ? 'needs-improvement' : 'poor';
+}
+
+/**
+ * The metric collectors. Each one observes a performance entry type, and updates the metric value & attribution
+ * from the entries it receives.
+ */
+const COLLECTORS = Object.freeze({
+  LCP: () => ({
+    type: 'largest-contentful-paint',
+    collect(metric, entries) {
+      const entry = entries[entries.length - 1];
+      Object.assign(metric, { value: entry.startTime, attribution: getSelector(entry.element) || entry.url });
+    },
+  }),
+  CLS: () => {
+    // Layout shifts are grouped in session windows of at most 5s, with less than 1s between shifts
+    let session = { value: 0, entries: [] };
+    return {
+      type: 'layout-shift',
+      initial: 0,
+      collect(metric, entries) {
+        entries.filter((entry) => !entry.hadRecentInput).forEach((entry) => {
+          const first = session.entries[0];
+          const last = session.entries[session.entries.length - 1];
+          if (last && (entry.startTime - last.startTime >= 1000 || entry.startTime - first.startTime >= 5000)) {
+            session = { value: 0, entries: [] };
+          }
+          session.value += entry.value;
+          session.entries.push(entry);
+          if (session.value > metric.value) {
+            const largest = session.entries.reduce((a, b) => (b.value > a.value ? b : a));
+            Object.assign(metric, {
+              value: session.value,
+              attribution: getSelector(largest.sources?.find((source) => source.node)?.node),
+            });
+          }
+        });
+      },
+    };
+  },
+  INP: () => {
+    // The longest event duration of each interaction, the INP being the 98th percentile of them
+    const interactions = new Map();
+    return {
+      type: 'event',
+      options: { durationThreshold: 40 },
+      collect(metric, entries) {
+        entries.filter((entry) => entry.interactionId).forEach((entry) => {
+          const interaction = interactions.get(entry.interactionId);
+          if (!interaction || entry.duration > interaction.duration) interactions.set(entry.interactionId, entry);
+        });
+        const longest = [...interactions.values()].sort((a, b) => b.duration - a.duration);
+        const entry = longest[Math.min(longest.length - 1, Math.floor(interactions.size / 50))];
+        if (!entry) return;
+        Object.assign(metric, { value: entry.duration, attribution: getSelector(entry.target) || entry.name });
+      },
+    };
+  },
+  FCP: () => ({
+    type: 'paint',
+    collect(metric, entries) {
+      const entry = entries.find(({ name }) => name === 'first-contentful-paint');
+      if (entry) {
+        // eslint-disable-next-line no-param-reassign
+        metric.value = entry.startTime;
+      }
+    },
+  }),
+  TTFB: () => ({
+    type: 'navigation',
+    collect(metric, [entry]) {
+      Object.assign(metric, { value: Math.max(entry.responseStart, 0), attribution: entry.name });
+    },
+  }),
+});
+
+/**
+ * Observe the Core Web Vitals, and push a `web_vitals` event for each metric when the page is hidden.
+ * Metrics that can still change (i.e. CLS & INP) are pushed again on the next page hide if they did.
+ *
+ * @param {GtmMartech} martech the plugin instance
+ * @param {WebVitalsOptions} options the reporting options
+ */
+export default function trackWebVitals(martech, options) {
+  if (!window.PerformanceObserver) {
+    // eslint-disable-next-line no-console
+    console.warn('PerformanceObserver is not supported, Core Web Vitals reporting is disabled');
+    return;
+  }
+  const { metrics } = { ...DEFAULT_OPTIONS, ...options };
+  const supported = window.PerformanceObserver.supportedEntryTypes || [];
+
+  const collectors = metrics
+    .filter((name) => COLLECTORS[name])
+    .map((name) => {
+      const collector = COLLECTORS[name]();
+      return { name, metric: { value: collector.initial }, ...collector };
+    })
+    .filter(({ type }) => supported.includes(type));
+  collectors.forEach((collector) => {
+    const callback = (entries) => {
+      if (entries.length > 0) collector.collect(collector.metric, entries);
+    };
+    // eslint-disable-next-line no-param-reassign
+    collector.observer = new window.PerformanceObserver((list) => callback(list.getEntries()));
+    collector.observer.observe({ type: collector.type, buffered: true, ...collector.options });
+    // eslint-disable-next-line no-param-reassign
+    collector.flush = () => callback(collector.observer.takeRecords());
+  });
+
+  const report = () => {
+    collectors.forEach(({ name, metric, flush }) => {
+      flush();
+      if (metric.value === undefined || metric.value === metric.reported) return;
+      martech.pushToDataLayer({
+        event: 'web_vitals',
+        metric_name: name,
+        metric_value: round(name, metric.value),
+        metric_delta: round(name, metric.value - (metric.reported || 0)),
+        metric_rating: getRating(name, metric.value),
+        metric_attribution: metric.attribution || '',
+      });
+      // eslint-disable-next-line no-param-reassign
+      metric.reported = metric.value;
+    });
+  };
+  onPageHide(report);
+}
@@ -0,0 +1,128 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/**
+ * A JSON-schema-like contract for a data layer event. The supported keywords are `type` (a type name or an array of
+ * them, among string, number, integer, boolean, object, array & null), `enum`, `const`, `required`, `properties`,
+ * `additionalProperties`, `items`, `pattern`, `minLength`, `maxLength`, `minimum`, `maximum`, `minItems`
+ * and `maxItems`.
+ *
+ * @typedef {Object} EventSchema
+ */
+
+/**
+ * A schema violation.
+ *
+ * @typedef {Object} ValidationError
+ * @property {String} path The path of the invalid value, e.g. `$.ecommerce.items[0].price`
+ * @property {String} message What is wrong with the value
+ * @property {*} value The invalid value
+ */
+
+/**
+ * Format a schema violation for logging.
+ *
+ * @param {ValidationError} error the schema violation
+ * @returns {String} the path, message and value of the violation
+ */
+export function formatError({ path, message, value }) {
+  return `${path} ${message}, got ${value === undefined ? 'undefined' : JSON.stringify(value)}`;
+}
+
+/**
+ * The error thrown in strict validation mode, when an event does not match its schema.
+ */
+export class EventValidationError extends Error {
+  /**
+   * @param {String} event the event name
+   * @param {Array<ValidationError>} errors the schema violations
+   */
+  constructor(event, errors) {
+    super(`Invalid ${event} event: ${errors.map(formatError).join(', ')}`);
+    this.name = 'EventValidationError';
+    this.event = event;
+    this.errors = errors;
+  }
+}
+
+/**
+ * Get the schema type of a value.
+ *
+ * @param {*} value the value
+ * @returns {String} the type name
+ */
+function getType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * Validate a value against a schema.
+ *
+ * @param {EventSchema} schema the schema
+ * @param {*} value the value to validate
+ * @param {String} path the path of the value, for the error messages
+ * @returns {Array<ValidationError>} the schema violations, if any
+ */
+export function validate(schema, value, path = '$') {
+  const error = (message, at = path, actual = value) => ({ path: at, message, value: actual });
+  const type = getType(value);
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.includes(type) && !(type === 'integer' && types.includes('number'))) {
+      return [error(`must be of type ${types.join(' or ')}`)];
+    }
+  }
+  if (schema.const !== undefined && value !== schema.const) {
+    return [error(`must be ${JSON.stringify(schema.const)}`)];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [error(`must be one of ${schema.enum.map((v) => JSON.stringify(v)).join(', ')}`)];
+  }
+
+  const errors = [];
+  if (typeof value === 'string') {
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(error(`must match ${schema.pattern}`));
+    if (value.length < schema.minLength) errors.push(error(`must be at least ${schema.minLength} characters long`));
+    if (value.length > schema.maxLength) errors.push(error(`must be at most ${schema.maxLength} characters long`));
+  }
+  if (typeof value === 'number') {
+    if (value < schema.minimum) errors.push(error(`must be >= ${schema.minimum}`));
+    if (value > schema.maximum) errors.push(error(`must be <= ${schema.maximum}`));
+  }
+  if (type === 'array') {
+    if (value.length < schema.minItems) errors.push(error(`must have at least ${schema.minItems} items`));
+    if (value.length > schema.maxItems) errors.push(error(`must have at most ${schema.maxItems} items`));
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...validate(schema.items, item, `${path}[${i}]`)));
+    }
+  }
+  if (type === 'object') {
+    const properties = schema.properties || {};
+    (schema.required || [])
+      .filter((key) => value[key] === undefined)
+      .forEach((key) => errors.push({ path: `${path}.${key}`, message: 'is required', value: undefined }));
+    Object.entries(value).forEach(([key, property]) => {
+      if (properties[key]) {
+        errors.push(...validate(properties[key], property, `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(error('is not allowed', `${path}.${key}`, property));
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validate(schema.additionalProperties, property, `${path}.${key}`));
+      }
+    });
+  }
+  return errors;
+}
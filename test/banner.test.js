@@ -0,0 +1,188 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+/* eslint-disable no-unused-vars, no-unused-expressions */
+
+import { expect } from 'chai';
+import sinon from 'sinon';
+import consentBanner from '../src/consent/banner.js';
+import { TestSetup, createGtmMartech } from './helpers/setup.js';
+
+// The banner UI is lazily imported, so it may take a few ticks to render
+const waitForBanner = async () => {
+  for (let i = 0; i < 10 && !document.querySelector('.gtm-martech-consent'); i += 1) {
+    // eslint-disable-next-line no-await-in-loop, no-promise-executor-return
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  return document.querySelector('.gtm-martech-consent');
+};
+
+const click = (banner, action) => banner.querySelector(`[data-action="${action}"]`).click();
+
+describe('Consent banner', () => {
+  let testSetup;
+  let window;
+  let consoleWarnSpy;
+  let gtmMartech;
+
+  beforeEach(() => {
+    testSetup = new TestSetup();
+    const setup = testSetup.setupWithConsoleWarn({ includeMain: true });
+    window = setup.window;
+    consoleWarnSpy = setup.consoleWarnSpy;
+    gtmMartech = createGtmMartech({ consentStorage: true });
+  });
+
+  afterEach(() => {
+    testSetup.cleanup();
+  });
+
+  it('should render an accessible dialog as an overlay', async () => {
+    consentBanner()(gtmMartech);
+    const banner = await waitForBanner();
+
+    expect(banner).to.exist;
+    expect(banner.parentElement).to.equal(document.body);
+    expect(banner.getAttribute('role')).to.equal('dialog');
+    expect(banner.getAttribute('aria-labelledby')).to.equal('gtm-martech-consent-title');
+    expect(banner.getAttribute('aria-describedby')).to.equal('gtm-martech-consent-description');
+    expect(banner.querySelector('style').textContent).to.include('position: fixed');
+    expect(document.activeElement).to.equal(banner);
+    expect(banner.querySelector('h2').textContent).to.equal('We value your privacy');
+    expect(banner.querySelector('fieldset').hidden).to.be.true;
+    expect(banner.querySelectorAll('input[type="checkbox"]')).to.have.length(3);
+  });
+
+  it('should resolve to all granted when accepting', async () => {
+    const promise = consentBanner()(gtmMartech);
+    const banner = await waitForBanner();
+
+    click(banner, 'accept');
+
+    expect(await promise).to.deep.equal({
+      security_storage: 'granted',
+      analytics_storage: 'granted',
+      ad_storage: 'granted',
+      ad_user_data: 'granted',
+      ad_personalization: 'granted',
+      functionality_storage: 'granted',
+      personalization_storage: 'granted',
+    });
+    expect(document.querySelector('.gtm-martech-consent')).to.not.exist;
+  });
+
+  it('should resolve to all denied, but the necessary types, when rejecting', async () => {
+    const promise = consentBanner()(gtmMartech);
+    const banner = await waitForBanner();
+
+    click(banner, 'reject');
+
+    expect(await promise).to.deep.equal({
+      security_storage: 'granted',
+      analytics_storage: 'denied',
+      ad_storage: 'denied',
+      ad_user_data: 'denied',
+      ad_personalization: 'denied',
+      functionality_storage: 'denied',
+      personalization_storage: 'denied',
+    });
+  });
+
+  it('should resolve to the selected categories when customizing', async () => {
+    const promise = consentBanner()(gtmMartech);
+    const banner = await waitForBanner();
+
+    // Clicking outside of a button does nothing
+    banner.querySelector('h2').click();
+    expect(document.querySelector('.gtm-martech-consent')).to.exist;
+
+    click(banner, 'customize');
+    const customize = banner.querySelector('[data-action="customize"]');
+    expect(banner.querySelector('fieldset').hidden).to.be.false;
+    expect(banner.querySelector('[data-action="save"]').hidden).to.be.false;
+    expect(customize.hidden).to.be.true;
+    expect(customize.getAttribute('aria-expanded')).to.equal('true');
+    expect(document.activeElement).to.equal(banner.querySelector('input[name="analytics"]'));
+
+    banner.querySelector('input[name="analytics"]').checked = true;
+    click(banner, 'save');
+
+    const consent = await promise;
+    expect(consent.analytics_storage).to.equal('granted');
+    expect(consent.ad_storage).to.equal('denied');
+    expect(consent.functionality_storage).to.equal('denied');
+  });
+
+  it('should support custom copy and categories', async () => {
+    const promise = consentBanner({
+      title: 'Cookies?',
+      acceptLabel: 'Yes',
+      categories: {
+        stats: { label: 'Statistics', description: 'Anonymous statistics', types: ['analytics_storage'] },
+      },
+      necessary: [],
+    })(gtmMartech);
+    const banner = await waitForBanner();
+
+    expect(banner.querySelector('h2').textContent).to.equal('Cookies?');
+    expect(banner.querySelector('[data-action="accept"]').textContent).to.equal('Yes');
+    expect(banner.querySelector('label').textContent).to.include('Statistics');
+    expect(banner.querySelector('label span').textContent).to.equal('Anonymous statistics');
+
+    click(banner, 'accept');
+    expect(await promise).to.deep.equal({ analytics_storage: 'granted' });
+  });
+
+  it('should not render when choices were restored from storage', async () => {
+    gtmMartech.updateUserConsent({ analytics_storage: 'granted' });
+    const returningMartech = createGtmMartech({ consentStorage: true });
+
+    const consent = await consentBanner()(returningMartech);
+
+    expect(consent).to.be.undefined;
+    expect(document.querySelector('.gtm-martech-consent')).to.not.exist;
+  });
+
+  it('should enable the consent storage when it is disabled', async () => {
+    const martech = createGtmMartech({ consentCallback: consentBanner() });
+    expect(martech.config.consentStorage).to.deep.include({ type: 'cookie', name: 'gtm_martech_consent' });
+
+    await martech.lazy();
+    click(await waitForBanner(), 'accept');
+    await Promise.resolve();
+    await Promise.resolve();
+
+    const returningMartech = createGtmMartech({ consentCallback: consentBanner() });
+    expect(returningMartech.storedConsent.analytics_storage).to.equal('granted');
+    await returningMartech.lazy();
+    expect(document.querySelectorAll('.gtm-martech-consent')).to.have.length(0);
+  });
+
+  it('should keep the configured consent storage', () => {
+    const martech = createGtmMartech({
+      consentStorage: { type: 'localStorage' },
+      consentCallback: consentBanner(),
+    });
+
+    expect(martech.config.consentStorage.type).to.equal('localStorage');
+  });
+
+  it('should save the choices when used as the consent callback', async () => {
+    const martech = createGtmMartech({ consentStorage: true, consentCallback: consentBanner() });
+    await martech.lazy();
+    click(await waitForBanner(), 'reject');
+    await Promise.resolve();
+    await Promise.resolve();
+
+    const returningMartech = createGtmMartech({ consentStorage: true });
+    expect(returningMartech.storedConsent.analytics_storage).to.equal('denied');
+  });
+});
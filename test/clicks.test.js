@@ -0,0 +1,147 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+/* eslint-disable no-unused-vars, no-unused-expressions */
+
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { TestSetup, createGtmMartech } from './helpers/setup.js';
+
+const PAGE = `
+  <div class="section" data-section-status="loaded"></div>
+  <div class="section" data-section-status="loaded" data-gtm-page-area="body">
+    <div class="cards block" data-block-name="cards" data-block-status="loaded" data-gtm-card-type="promo">
+      <a href="/offer" data-gtm-event="cta_click" data-gtm-link-position="1"><span>Offer</span></a>
+      <button data-gtm-event="cta_click" data-gtm-card-type="override" data-gtm-page-area="card">Buy</button>
+    </div>
+  </div>
+`;
+
+const getEvents = (dataLayer) => dataLayer.filter((entry) => entry.event === 'cta_click');
+
+describe('Declarative click tracking', () => {
+  let testSetup;
+  let window;
+
+  beforeEach(() => {
+    testSetup = new TestSetup();
+    const setup = testSetup.setup({ includeMain: true });
+    window = setup.window;
+    document.querySelector('main').innerHTML = PAGE;
+  });
+
+  afterEach(() => {
+    testSetup.cleanup();
+  });
+
+  it('should not track clicks when disabled', async () => {
+    const gtmMartech = createGtmMartech({ consent: false, tracking: { clicks: false, unknown: true } });
+    await gtmMartech.lazy();
+
+    document.querySelector('a').click();
+
+    expect(getEvents(window.gtmDataLayer)).to.have.length(0);
+  });
+
+  it('should warn about unknown trackers', async () => {
+    const warn = sinon.stub(console, 'warn');
+    try {
+      const gtmMartech = createGtmMartech({ consent: false, tracking: { link: true } });
+      await gtmMartech.lazy();
+
+      expect(warn.calledWith('Unknown tracker link, it is ignored')).to.be.true;
+    } finally {
+      warn.restore();
+    }
+  });
+
+  describe('when enabled', () => {
+    let gtmMartech;
+
+    beforeEach(async () => {
+      gtmMartech = createGtmMartech({ consent: false, tracking: { clicks: true } });
+      await gtmMartech.lazy();
+    });
+
+    it('should push the event with its parameters and context', () => {
+      document.querySelector('a span').click();
+
+      expect(getEvents(window.gtmDataLayer)).to.deep.equal([{
+        event: 'cta_click',
+        block_name: 'cards',
+        section_index: 1,
+        link_position: '1',
+        card_type: 'promo',
+        page_area: 'body',
+      }]);
+    });
+
+    it('should let the closest parameters win', () => {
+      document.querySelector('button').click();
+
+      const [event] = getEvents(window.gtmDataLayer);
+      expect(event.card_type).to.equal('override');
+      expect(event.page_area).to.equal('card');
+    });
+
+    it('should ignore clicks on elements without an event', () => {
+      document.querySelector('.cards').click();
+      document.dispatchEvent(new window.MouseEvent('click'));
+
+      expect(getEvents(window.gtmDataLayer)).to.have.length(0);
+    });
+
+    it('should track elements outside of blocks and sections', () => {
+      const link = document.createElement('a');
+      link.dataset.gtmEvent = 'cta_click';
+      document.body.append(link);
+
+      link.click();
+
+      expect(getEvents(window.gtmDataLayer)).to.deep.equal([{ event: 'cta_click' }]);
+    });
+
+    it('should track elements added after the lazy phase', () => {
+      const fragment = document.createElement('div');
+      fragment.className = 'fragment-wrapper';
+      fragment.innerHTML = '<div class="section"><a data-gtm-event="cta_click" data-gtm-link-id="late">Late</a></div>';
+      document.querySelector('main').append(fragment);
+
+      fragment.querySelector('a').click();
+
+      expect(getEvents(window.gtmDataLayer)).to.deep.equal([{
+        event: 'cta_click',
+        section_index: 0,
+        link_id: 'late',
+      }]);
+    });
+
+    it('should go through pushToDataLayer', () => {
+      const pushSpy = sinon.spy(gtmMartech, 'pushToDataLayer');
+
+      document.querySelector('a').click();
+
+      sinon.assert.calledOnce(pushSpy);
+    });
+  });
+
+  it('should call the decorate callback alongside the trackers', async () => {
+    const decorateCallback = sinon.spy();
+    const gtmMartech = createGtmMartech({ consent: false, decorateCallback, tracking: { clicks: {} } });
+    await gtmMartech.lazy();
+
+    document.querySelector('a').click();
+
+    expect(decorateCallback.callCount).to.equal(3);
+    const [event] = getEvents(window.gtmDataLayer);
+    expect(event).to.not.have.property('martech_decorated');
+  });
+});
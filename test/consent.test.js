@@ -34,7 +34,7 @@ describe('GtmMartech consent functionality', () => {
       const gtmMartech = createGtmMartech();
 
       // Verify that gtag function exists
-      expect(window.gtag).to.be.a('function');
+      expect(gtmMartech.gtag).to.be.a('function');
 
       // Verify that consent entry is in the data layer
       const consentEntries = window.gtmDataLayer.filter((entry) => entry[0] === 'consent');
@@ -43,13 +43,74 @@ describe('GtmMartech consent functionality', () => {
     });
   });
 
+  describe('when region-specific consent defaults are configured', () => {
+    it('should default everything to denied when no overrides are given', () => {
+      createGtmMartech();
+
+      const [consentEntry] = window.gtmDataLayer.filter((entry) => entry[0] === 'consent');
+      expect(consentEntry[2]).to.deep.equal({
+        ad_storage: 'denied',
+        ad_user_data: 'denied',
+        ad_personalization: 'denied',
+        analytics_storage: 'denied',
+        functionality_storage: 'denied',
+        personalization_storage: 'denied',
+        security_storage: 'denied',
+        wait_for_update: 500,
+      });
+    });
+
+    it('should merge the global fallback over the denied defaults', () => {
+      createGtmMartech({
+        consentDefaults: { default: { security_storage: 'granted', wait_for_update: 1000 } },
+      });
+
+      const consentEntries = window.gtmDataLayer.filter((entry) => entry[0] === 'consent');
+      expect(consentEntries).to.have.length(1);
+      expect(consentEntries[0][2].security_storage).to.equal('granted');
+      expect(consentEntries[0][2].analytics_storage).to.equal('denied');
+      expect(consentEntries[0][2].wait_for_update).to.equal(1000);
+      expect(consentEntries[0][2]).to.not.have.property('region');
+    });
+
+    it('should call gtag consent default for each region rule, in order, before the fallback', () => {
+      createGtmMartech({
+        consentDefaults: {
+          default: { functionality_storage: 'granted' },
+          regions: [
+            { region: ['US', 'CA'], analytics_storage: 'granted', wait_for_update: 0 },
+            { region: 'JP', ad_storage: 'granted' },
+          ],
+        },
+      });
+
+      const consentEntries = window.gtmDataLayer.filter((entry) => entry[0] === 'consent');
+      expect(consentEntries).to.have.length(3);
+
+      expect(consentEntries[0][1]).to.equal('default');
+      expect(consentEntries[0][2].region).to.deep.equal(['US', 'CA']);
+      expect(consentEntries[0][2].analytics_storage).to.equal('granted');
+      expect(consentEntries[0][2].functionality_storage).to.equal('granted');
+      expect(consentEntries[0][2].ad_storage).to.equal('denied');
+      expect(consentEntries[0][2].wait_for_update).to.equal(0);
+
+      expect(consentEntries[1][2].region).to.deep.equal(['JP']);
+      expect(consentEntries[1][2].ad_storage).to.equal('granted');
+      expect(consentEntries[1][2].analytics_storage).to.equal('denied');
+      expect(consentEntries[1][2].wait_for_update).to.equal(500);
+
+      expect(consentEntries[2][2]).to.not.have.property('region');
+      expect(consentEntries[2][2].analytics_storage).to.equal('denied');
+    });
+  });
+
   describe('when consent is disabled', () => {
     it('should not call gtag consent', () => {
       // Create GtmMartech instance with consent disabled
       const gtmMartech = createGtmMartech({ consent: false });
 
       // Verify that gtag function exists
-      expect(window.gtag).to.be.a('function');
+      expect(gtmMartech.gtag).to.be.a('function');
 
       // Verify that consent entry is not in the data layer
       const consentEntries = window.gtmDataLayer.filter((entry) => entry[0] === 'consent');
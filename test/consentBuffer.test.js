@@ -0,0 +1,209 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+/* eslint-disable no-unused-vars, no-unused-expressions */
+
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { TestSetup, createGtmMartech } from './helpers/setup.js';
+
+const getEvents = (dataLayer) => dataLayer.filter((entry) => entry.event && entry.event !== 'gtm.js');
+
+describe('GtmMartech consent buffer', () => {
+  let testSetup;
+  let window;
+
+  beforeEach(() => {
+    testSetup = new TestSetup();
+    const setup = testSetup.setup({ includeMain: true });
+    window = setup.window;
+  });
+
+  afterEach(() => {
+    testSetup.cleanup();
+  });
+
+  describe('when the consent buffer is disabled', () => {
+    it('should push events right away', () => {
+      const gtmMartech = createGtmMartech();
+      gtmMartech.pushToDataLayer({ event: 'first' });
+
+      expect(gtmMartech.config.consentBuffer).to.be.false;
+      expect(gtmMartech.eventBuffer).to.be.undefined;
+      expect(getEvents(window.gtmDataLayer)).to.have.length(1);
+    });
+  });
+
+  describe('when the consent buffer is enabled', () => {
+    it('should use the default buffer options', () => {
+      const gtmMartech = createGtmMartech({ consentBuffer: true });
+
+      expect(gtmMartech.config.consentBuffer).to.deep.equal({ timeout: 5000, rules: {} });
+    });
+
+    it('should not buffer events when consent is disabled', () => {
+      const gtmMartech = createGtmMartech({ consent: false, consentBuffer: true });
+      gtmMartech.pushToDataLayer({ event: 'first' });
+
+      expect(getEvents(window.gtmDataLayer)).to.have.length(1);
+    });
+
+    it('should not buffer events when the consent was restored from storage', () => {
+      createGtmMartech({ consentStorage: true }).updateUserConsent({ analytics_storage: 'granted' });
+
+      const gtmMartech = createGtmMartech({ consentStorage: true, consentBuffer: true });
+      gtmMartech.pushToDataLayer({ event: 'first' });
+
+      expect(getEvents(window.gtmDataLayer)).to.have.length(1);
+    });
+
+    it('should buffer events until consent is updated, then flush them in order', () => {
+      const gtmMartech = createGtmMartech({ consentBuffer: true });
+      gtmMartech.pushToDataLayer({ event: 'first' });
+      gtmMartech.pushToDataLayer({ event: 'second' });
+      expect(getEvents(window.gtmDataLayer)).to.have.length(0);
+
+      gtmMartech.updateUserConsent({ analytics_storage: 'granted' });
+      gtmMartech.pushToDataLayer({ event: 'third' });
+
+      expect(getEvents(window.gtmDataLayer).map((e) => e.event)).to.deep.equal(['first', 'second', 'third']);
+      expect(gtmMartech.eventBuffer).to.be.undefined;
+    });
+
+    it('should not buffer the internal GTM events', async () => {
+      const gtmMartech = createGtmMartech({
+        consentBuffer: true,
+        consentCallback: () => new Promise(() => {}),
+      });
+
+      await gtmMartech.lazy();
+
+      expect(window.gtmDataLayer.filter((entry) => entry.event === 'gtm.js')).to.have.length(1);
+      gtmMartech.updateUserConsent({});
+    });
+
+    it('should flush the events when the consent callback resolves', async () => {
+      const gtmMartech = createGtmMartech({ consentBuffer: true });
+      gtmMartech.pushToDataLayer({ event: 'first' });
+
+      await gtmMartech.lazy();
+      await Promise.resolve();
+
+      expect(getEvents(window.gtmDataLayer)).to.have.length(1);
+    });
+
+    it('should flush the events after the timeout if consent is still pending', async () => {
+      const clock = sinon.useFakeTimers({ global: window, toFake: ['setTimeout', 'clearTimeout'] });
+      const gtmMartech = createGtmMartech({
+        consentBuffer: { timeout: 1000 },
+        consentCallback: () => new Promise(() => {}),
+      });
+      gtmMartech.pushToDataLayer({ event: 'first' });
+
+      await gtmMartech.lazy();
+      clock.tick(999);
+      expect(getEvents(window.gtmDataLayer)).to.have.length(0);
+
+      clock.tick(1);
+      expect(getEvents(window.gtmDataLayer)).to.have.length(1);
+      clock.restore();
+    });
+
+    it('should drop the events for the denied consent types', () => {
+      const gtmMartech = createGtmMartech({
+        consentBuffer: {
+          rules: {
+            ad_storage: { action: 'drop', events: ['conversion'] },
+            analytics_storage: { action: 'drop', events: ['page_scroll'] },
+          },
+        },
+      });
+      gtmMartech.pushToDataLayer({ event: 'conversion' });
+      gtmMartech.pushToDataLayer({ event: 'page_scroll' });
+      gtmMartech.pushToDataLayer({ event: 'other' });
+
+      gtmMartech.updateUserConsent({ ad_storage: 'denied', analytics_storage: 'granted' });
+
+      expect(getEvents(window.gtmDataLayer).map((e) => e.event)).to.deep.equal(['page_scroll', 'other']);
+    });
+
+    it('should keep applying the rules once flushed, until the consent type is granted', () => {
+      const gtmMartech = createGtmMartech({
+        consentBuffer: { rules: { ad_storage: { action: 'drop', events: ['generate_lead'] } } },
+      });
+      gtmMartech.updateUserConsent({ ad_storage: 'denied' });
+      gtmMartech.pushToDataLayer({ event: 'generate_lead' });
+      gtmMartech.pushToDataLayer({ event: 'other' });
+
+      gtmMartech.updateUserConsent({ ad_storage: 'granted' });
+      gtmMartech.pushToDataLayer({ event: 'generate_lead' });
+
+      expect(getEvents(window.gtmDataLayer).map((e) => e.event)).to.deep.equal(['other', 'generate_lead']);
+    });
+
+    it('should apply the rules to the events pushed after the timeout', async () => {
+      const clock = sinon.useFakeTimers({ global: window, toFake: ['setTimeout', 'clearTimeout'] });
+      const gtmMartech = createGtmMartech({
+        consentBuffer: { timeout: 1000, rules: { analytics_storage: { action: 'redact', keys: ['user_id'] } } },
+        consentCallback: () => new Promise(() => {}),
+      });
+
+      await gtmMartech.lazy();
+      clock.tick(1000);
+      gtmMartech.pushToDataLayer({ event: 'first', user_id: '123' });
+
+      expect(getEvents(window.gtmDataLayer)).to.deep.equal([{ event: 'first' }]);
+      clock.restore();
+    });
+
+    it('should apply the rules when the consent was restored from storage', () => {
+      createGtmMartech({ consentStorage: true }).updateUserConsent({ ad_storage: 'denied' });
+
+      const gtmMartech = createGtmMartech({
+        consentStorage: true,
+        consentBuffer: { rules: { ad_storage: { action: 'drop' } } },
+      });
+      gtmMartech.pushToDataLayer({ event: 'first' });
+
+      expect(getEvents(window.gtmDataLayer)).to.have.length(0);
+    });
+
+    it('should drop all events when the rule does not list any', () => {
+      const gtmMartech = createGtmMartech({
+        consentBuffer: { rules: { ad_storage: { action: 'drop' } } },
+      });
+      gtmMartech.pushToDataLayer({ event: 'first' });
+      gtmMartech.pushToDataLayer(null);
+
+      gtmMartech.updateUserConsent({ analytics_storage: 'granted' });
+
+      expect(getEvents(window.gtmDataLayer)).to.have.length(0);
+      expect(window.gtmDataLayer).to.not.include(null);
+    });
+
+    it('should redact the events for the denied consent types', () => {
+      const gtmMartech = createGtmMartech({
+        consentBuffer: {
+          rules: {
+            ad_storage: { action: 'redact', keys: ['gclid'] },
+            analytics_storage: { action: 'redact', keys: ['user_id'] },
+            ad_user_data: { action: 'redact' },
+          },
+        },
+      });
+      gtmMartech.pushToDataLayer({ event: 'first', gclid: 'abc', user_id: '123' });
+
+      gtmMartech.updateUserConsent({ analytics_storage: 'granted' });
+
+      expect(getEvents(window.gtmDataLayer)).to.deep.equal([{ event: 'first', user_id: '123' }]);
+    });
+  });
+});
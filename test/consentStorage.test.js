@@ -0,0 +1,182 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+/* eslint-disable no-unused-vars, no-unused-expressions */
+
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { TestSetup, createGtmMartech } from './helpers/setup.js';
+
+const getConsentEntries = (dataLayer, command) => dataLayer
+  .filter((entry) => entry[0] === 'consent' && entry[1] === command);
+
+describe('GtmMartech consent storage', () => {
+  let testSetup;
+  let window;
+  let consoleWarnSpy;
+
+  beforeEach(() => {
+    testSetup = new TestSetup();
+    const setup = testSetup.setupWithConsoleWarn();
+    window = setup.window;
+    consoleWarnSpy = setup.consoleWarnSpy;
+  });
+
+  afterEach(() => {
+    testSetup.cleanup();
+  });
+
+  describe('when consent storage is disabled', () => {
+    it('should not persist consent updates', () => {
+      const gtmMartech = createGtmMartech();
+      gtmMartech.updateUserConsent({ analytics_storage: 'granted' });
+
+      expect(gtmMartech.config.consentStorage).to.be.false;
+      expect(window.document.cookie).to.equal('');
+      expect(window.localStorage.length).to.equal(0);
+    });
+  });
+
+  describe('when consent storage is enabled', () => {
+    it('should use the default storage options', () => {
+      const gtmMartech = createGtmMartech({ consentStorage: true });
+
+      expect(gtmMartech.config.consentStorage).to.deep.equal({
+        type: 'cookie',
+        name: 'gtm_martech_consent',
+        ttl: 180,
+        version: 1,
+      });
+    });
+
+    it('should merge custom storage options with the defaults', () => {
+      const gtmMartech = createGtmMartech({ consentStorage: { name: 'consent', version: '2025-01' } });
+
+      expect(gtmMartech.config.consentStorage).to.deep.equal({
+        type: 'cookie',
+        name: 'consent',
+        ttl: 180,
+        version: '2025-01',
+      });
+    });
+
+    it('should not update consent when nothing is stored', () => {
+      createGtmMartech({ consentStorage: true });
+
+      expect(getConsentEntries(window.gtmDataLayer, 'update')).to.have.length(0);
+    });
+
+    it('should persist consent updates in a cookie and restore them on the next page', () => {
+      const gtmMartech = createGtmMartech({ consentStorage: true });
+      gtmMartech.updateUserConsent({ analytics_storage: 'granted' });
+
+      expect(window.document.cookie).to.include('gtm_martech_consent=');
+
+      // Simulate the next page load
+      window.gtmDataLayer = [];
+      createGtmMartech({ consentStorage: true });
+
+      const consentEntries = window.gtmDataLayer.filter((entry) => entry[0] === 'consent');
+      expect(consentEntries).to.have.length(2);
+      expect(consentEntries[0][1]).to.equal('default');
+      expect(consentEntries[1][1]).to.equal('update');
+      expect(consentEntries[1][2]).to.deep.equal({ analytics_storage: 'granted' });
+
+      // The stored consent must be applied before the js command
+      expect(window.gtmDataLayer[2][0]).to.equal('js');
+    });
+
+    it('should restore the stored consent after all region defaults', () => {
+      const gtmMartech = createGtmMartech({ consentStorage: true });
+      gtmMartech.updateUserConsent({ analytics_storage: 'granted' });
+
+      window.gtmDataLayer = [];
+      createGtmMartech({
+        consentStorage: true,
+        consentDefaults: { regions: [{ region: 'US', analytics_storage: 'granted' }] },
+      });
+
+      expect(window.gtmDataLayer[0][1]).to.equal('default');
+      expect(window.gtmDataLayer[1][1]).to.equal('default');
+      expect(window.gtmDataLayer[2][1]).to.equal('update');
+    });
+
+    it('should merge consecutive updates', () => {
+      const gtmMartech = createGtmMartech({ consentStorage: true });
+      gtmMartech.updateUserConsent({ analytics_storage: 'granted', ad_storage: 'granted' });
+      gtmMartech.updateUserConsent({ ad_storage: 'denied' });
+
+      window.gtmDataLayer = [];
+      createGtmMartech({ consentStorage: true });
+
+      const [update] = getConsentEntries(window.gtmDataLayer, 'update');
+      expect(update[2]).to.deep.equal({ analytics_storage: 'granted', ad_storage: 'denied' });
+    });
+
+    it('should persist consent updates in localStorage', () => {
+      const storage = { type: 'localStorage', name: 'consent' };
+      const gtmMartech = createGtmMartech({ consentStorage: storage });
+      gtmMartech.updateUserConsent({ analytics_storage: 'granted' });
+
+      expect(window.document.cookie).to.equal('');
+      const stored = JSON.parse(window.localStorage.getItem('consent'));
+      expect(stored.version).to.equal(1);
+      expect(stored.consent).to.deep.equal({ analytics_storage: 'granted' });
+
+      window.gtmDataLayer = [];
+      createGtmMartech({ consentStorage: storage });
+
+      const [update] = getConsentEntries(window.gtmDataLayer, 'update');
+      expect(update[2]).to.deep.equal({ analytics_storage: 'granted' });
+    });
+
+    it('should ignore choices stored for another policy version', () => {
+      const gtmMartech = createGtmMartech({ consentStorage: { version: 1 } });
+      gtmMartech.updateUserConsent({ analytics_storage: 'granted' });
+
+      window.gtmDataLayer = [];
+      createGtmMartech({ consentStorage: { version: 2 } });
+
+      expect(getConsentEntries(window.gtmDataLayer, 'update')).to.have.length(0);
+    });
+
+    it('should ignore expired choices', () => {
+      window.localStorage.setItem('gtm_martech_consent', JSON.stringify({
+        version: 1,
+        expires: Date.now() - 1000,
+        consent: { analytics_storage: 'granted' },
+      }));
+
+      createGtmMartech({ consentStorage: { type: 'localStorage' } });
+
+      expect(getConsentEntries(window.gtmDataLayer, 'update')).to.have.length(0);
+    });
+
+    it('should ignore malformed stored choices', () => {
+      window.document.cookie = 'gtm_martech_consent=not-json; path=/';
+
+      createGtmMartech({ consentStorage: true });
+
+      expect(getConsentEntries(window.gtmDataLayer, 'update')).to.have.length(0);
+    });
+
+    it('should warn when the choices cannot be persisted', () => {
+      const setItemStub = sinon.stub(window.Storage.prototype, 'setItem').throws(new Error('QuotaExceededError'));
+      const gtmMartech = createGtmMartech({ consentStorage: { type: 'localStorage' } });
+
+      gtmMartech.updateUserConsent({ analytics_storage: 'granted' });
+      setItemStub.restore();
+
+      sinon.assert.calledWith(consoleWarnSpy, 'Unable to persist the consent choices');
+      expect(getConsentEntries(window.gtmDataLayer, 'update')).to.have.length(1);
+    });
+  });
+});
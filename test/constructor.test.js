@@ -51,7 +51,7 @@ describe('GtmMartech constructor', () => {
       expect(gtmMartech.config.consent).to.be.true;
 
       // Verify gtag function is available
-      expect(window.gtag).to.be.a('function');
+      expect(gtmMartech.gtag).to.be.a('function');
 
       // Verify that gtag calls were made during initialization
       // Since no tags are provided, only consent and js calls should be made
@@ -148,7 +148,7 @@ describe('GtmMartech constructor', () => {
 
         // Verify that data layer was initialized
         expect(window.gtmDataLayer).to.be.an('array');
-        expect(window.gtag).to.be.a('function');
+        expect(gtmMartech.gtag).to.be.a('function');
 
         // Verify that gtag consent default was called (should be first entry)
         expect(window.gtmDataLayer).to.have.length.greaterThan(0);
@@ -169,7 +169,7 @@ describe('GtmMartech constructor', () => {
         expect(configEntry[1]).to.equal(TEST_CONSTANTS.MEASUREMENT_ID_1);
 
         // Verify that data pushed to gtag is stored in the data layer
-        window.gtag('event', 'test_event', { event_category: 'test' });
+        gtmMartech.gtag('event', 'test_event', { event_category: 'test' });
         expect(window.gtmDataLayer).to.have.length.greaterThan(3);
 
         // The gtag function pushes the arguments object to the data layer
@@ -187,10 +187,10 @@ describe('GtmMartech constructor', () => {
 
         // Verify that custom data layer was initialized
         expect(window.customDataLayer).to.be.an('array');
-        expect(window.gtag).to.be.a('function');
+        expect(gtmMartech.gtag).to.be.a('function');
 
         // Verify that data pushed to gtag is stored in the custom data layer
-        window.gtag('event', 'test_event', { event_category: 'test' });
+        gtmMartech.gtag('event', 'test_event', { event_category: 'test' });
         const lastEntry = window.customDataLayer[window.customDataLayer.length - 1];
         expect(lastEntry[0]).to.equal('event');
         expect(lastEntry[1]).to.equal('test_event');
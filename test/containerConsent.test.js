@@ -0,0 +1,161 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+/* eslint-disable no-unused-vars, no-unused-expressions */
+
+import { expect } from 'chai';
+import { TestSetup, TEST_CONSTANTS, createGtmMartech } from './helpers/setup.js';
+
+const getScript = (id) => document.querySelector(`head > script[src*="${id}"]`);
+
+describe('GtmMartech consent-gated containers', () => {
+  let testSetup;
+
+  beforeEach(() => {
+    testSetup = new TestSetup();
+    testSetup.setup({ includeMain: true });
+  });
+
+  afterEach(() => {
+    testSetup.cleanup();
+  });
+
+  it('should load containers without requirements right away', async () => {
+    const gtmMartech = createGtmMartech({
+      containers: [{ id: TEST_CONSTANTS.GTM_CONTAINER_1 }, TEST_CONSTANTS.GTM_CONTAINER_2],
+    });
+
+    await gtmMartech.lazy();
+
+    expect(getScript(TEST_CONSTANTS.GTM_CONTAINER_1)).to.exist;
+    expect(getScript(TEST_CONSTANTS.GTM_CONTAINER_2)).to.exist;
+    expect(gtmMartech.pendingContainers).to.deep.equal([]);
+  });
+
+  it('should hold back containers until the required consent is granted', async () => {
+    const gtmMartech = createGtmMartech({
+      containers: [{ id: TEST_CONSTANTS.GTM_CONTAINER_1, requires: ['ad_storage', 'ad_user_data'] }],
+    });
+
+    await gtmMartech.lazy();
+    expect(getScript(TEST_CONSTANTS.GTM_CONTAINER_1)).to.not.exist;
+
+    gtmMartech.updateUserConsent({ ad_storage: 'granted', ad_user_data: 'denied' });
+    expect(getScript(TEST_CONSTANTS.GTM_CONTAINER_1)).to.not.exist;
+
+    gtmMartech.updateUserConsent({ ad_user_data: 'granted' });
+    expect(getScript(TEST_CONSTANTS.GTM_CONTAINER_1)).to.exist;
+    expect(gtmMartech.pendingContainers).to.deep.equal([]);
+  });
+
+  it('should load containers when the consent was granted before their phase', async () => {
+    const gtmMartech = createGtmMartech({
+      containers: {
+        lazy: [],
+        delayed: [{ id: TEST_CONSTANTS.GTM_CONTAINER_1, requires: ['analytics_storage'] }],
+      },
+    });
+
+    gtmMartech.updateUserConsent({ analytics_storage: 'granted' });
+    expect(getScript(TEST_CONSTANTS.GTM_CONTAINER_1)).to.not.exist;
+
+    await gtmMartech.delayed();
+    expect(getScript(TEST_CONSTANTS.GTM_CONTAINER_1)).to.exist;
+  });
+
+  it('should load containers when the consent callback grants the required consent', async () => {
+    const gtmMartech = createGtmMartech({
+      containers: [{ id: TEST_CONSTANTS.GTM_CONTAINER_1, requires: ['analytics_storage'] }],
+      consentCallback: () => Promise.resolve({ analytics_storage: 'granted' }),
+    });
+
+    await gtmMartech.lazy();
+    await Promise.resolve();
+
+    expect(getScript(TEST_CONSTANTS.GTM_CONTAINER_1)).to.exist;
+  });
+
+  it('should load containers for the consent restored from storage', async () => {
+    createGtmMartech({ consentStorage: true }).updateUserConsent({ ad_storage: 'granted' });
+
+    const gtmMartech = createGtmMartech({
+      consentStorage: true,
+      containers: [{ id: TEST_CONSTANTS.GTM_CONTAINER_1, requires: ['ad_storage'] }],
+    });
+    await gtmMartech.lazy();
+
+    expect(getScript(TEST_CONSTANTS.GTM_CONTAINER_1)).to.exist;
+  });
+
+  it('should load containers for the consent granted by the global defaults', async () => {
+    const gtmMartech = createGtmMartech({
+      consentDefaults: { default: { analytics_storage: 'granted' } },
+      containers: [{ id: TEST_CONSTANTS.GTM_CONTAINER_1, requires: ['analytics_storage'] }],
+    });
+    await gtmMartech.lazy();
+
+    expect(getScript(TEST_CONSTANTS.GTM_CONTAINER_1)).to.exist;
+    expect(gtmMartech.userConsent).to.not.have.property('wait_for_update');
+  });
+
+  it('should not load containers for the consent granted by the defaults of some regions', async () => {
+    const gtmMartech = createGtmMartech({
+      consentDefaults: {
+        default: { analytics_storage: 'granted' },
+        regions: [{ region: 'FR', analytics_storage: 'denied' }],
+      },
+      containers: [{ id: TEST_CONSTANTS.GTM_CONTAINER_1, requires: ['analytics_storage'] }],
+    });
+    await gtmMartech.lazy();
+
+    expect(getScript(TEST_CONSTANTS.GTM_CONTAINER_1)).to.not.exist;
+  });
+
+  it('should only release the containers whose requirements are met', async () => {
+    const gtmMartech = createGtmMartech({
+      containers: {
+        lazy: [{ id: TEST_CONSTANTS.GTM_CONTAINER_1, requires: ['analytics_storage'] }],
+        delayed: [{ id: TEST_CONSTANTS.GTM_CONTAINER_2, requires: ['ad_storage'] }],
+      },
+    });
+
+    await gtmMartech.lazy();
+    await gtmMartech.delayed();
+    gtmMartech.updateUserConsent({ analytics_storage: 'granted' });
+
+    expect(getScript(TEST_CONSTANTS.GTM_CONTAINER_1)).to.exist;
+    expect(getScript(TEST_CONSTANTS.GTM_CONTAINER_2)).to.not.exist;
+    expect(gtmMartech.pendingContainers.map((c) => c.id)).to.deep.equal([TEST_CONSTANTS.GTM_CONTAINER_2]);
+  });
+
+  it('should ignore the requirements when consent is disabled', async () => {
+    const gtmMartech = createGtmMartech({
+      consent: false,
+      containers: [{ id: TEST_CONSTANTS.GTM_CONTAINER_1, requires: ['ad_storage'] }],
+    });
+
+    await gtmMartech.lazy();
+
+    expect(getScript(TEST_CONSTANTS.GTM_CONTAINER_1)).to.exist;
+  });
+
+  it('should load consent-gated containers from their tagging server', async () => {
+    const gtmMartech = createGtmMartech({
+      taggingServer: { containers: { [TEST_CONSTANTS.GTM_CONTAINER_1]: 'https://gtm.example.com' } },
+      containers: [{ id: TEST_CONSTANTS.GTM_CONTAINER_1, requires: ['ad_storage'] }],
+    });
+
+    await gtmMartech.lazy();
+    gtmMartech.updateUserConsent({ ad_storage: 'granted' });
+
+    expect(getScript(TEST_CONSTANTS.GTM_CONTAINER_1).src).to.include('https://gtm.example.com/gtm.js');
+  });
+});
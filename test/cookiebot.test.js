@@ -0,0 +1,96 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+/* eslint-disable no-unused-vars, no-unused-expressions */
+
+import { expect } from 'chai';
+import sinon from 'sinon';
+import cookiebotConsent from '../src/consent/cookiebot.js';
+import { TestSetup, createGtmMartech } from './helpers/setup.js';
+
+describe('Cookiebot consent adapter', () => {
+  let testSetup;
+  let window;
+
+  beforeEach(() => {
+    testSetup = new TestSetup();
+    const setup = testSetup.setup({ includeMain: true });
+    window = setup.window;
+    window.Cookiebot = {
+      hasResponse: false,
+      consent: {
+        necessary: true, preferences: false, statistics: false, marketing: false,
+      },
+    };
+  });
+
+  afterEach(() => {
+    testSetup.cleanup();
+  });
+
+  it('should resolve immediately when the visitor already responded', async () => {
+    window.Cookiebot.hasResponse = true;
+    window.Cookiebot.consent.statistics = true;
+
+    const consent = await cookiebotConsent()(createGtmMartech());
+
+    expect(consent).to.deep.equal({
+      ad_storage: 'denied',
+      ad_user_data: 'denied',
+      ad_personalization: 'denied',
+      analytics_storage: 'granted',
+      functionality_storage: 'denied',
+      personalization_storage: 'denied',
+      security_storage: 'granted',
+    });
+  });
+
+  it('should wait for the visitor to respond when Cookiebot is not loaded yet', async () => {
+    const { Cookiebot } = window;
+    delete window.Cookiebot;
+    const callback = sinon.spy();
+    cookiebotConsent()(createGtmMartech()).then(callback);
+    await Promise.resolve();
+    sinon.assert.notCalled(callback);
+
+    window.Cookiebot = Cookiebot;
+    window.Cookiebot.consent.marketing = true;
+    window.dispatchEvent(new window.Event('CookiebotOnAccept'));
+    await Promise.resolve();
+
+    sinon.assert.calledOnce(callback);
+    expect(callback.firstCall.args[0].ad_storage).to.equal('granted');
+  });
+
+  it('should support custom categories', async () => {
+    const promise = cookiebotConsent({ categories: { analytics_storage: 'necessary' } })(createGtmMartech());
+
+    window.dispatchEvent(new window.Event('CookiebotOnDecline'));
+
+    expect(await promise).to.deep.equal({ analytics_storage: 'granted' });
+  });
+
+  it('should update the consent on later accepts and declines', async () => {
+    window.Cookiebot.hasResponse = true;
+    const gtmMartech = createGtmMartech();
+    const updateUserConsentSpy = sinon.spy(gtmMartech, 'updateUserConsent');
+    await cookiebotConsent({ categories: { analytics_storage: 'statistics' } })(gtmMartech);
+
+    window.Cookiebot.consent.statistics = true;
+    window.dispatchEvent(new window.Event('CookiebotOnAccept'));
+    window.Cookiebot.consent.statistics = false;
+    window.dispatchEvent(new window.Event('CookiebotOnDecline'));
+
+    sinon.assert.calledTwice(updateUserConsentSpy);
+    sinon.assert.calledWith(updateUserConsentSpy.firstCall, { analytics_storage: 'granted' });
+    sinon.assert.calledWith(updateUserConsentSpy.secondCall, { analytics_storage: 'denied' });
+  });
+});
@@ -0,0 +1,246 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+/* eslint-disable no-unused-vars, no-unused-expressions */
+
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { TestSetup, TEST_CONSTANTS, createGtmMartech } from './helpers/setup.js';
+
+// eslint-disable-next-line no-promise-executor-return
+const tick = () => new Promise((resolve) => setTimeout(resolve, 10));
+
+// The debug panel is lazily imported, so it may take a few ticks to render
+const waitForPanel = async () => {
+  for (let i = 0; i < 10 && !document.querySelector('.gtm-martech-debug'); i += 1) {
+    // eslint-disable-next-line no-await-in-loop
+    await tick();
+  }
+  return document.querySelector('.gtm-martech-debug');
+};
+
+const getEntries = (gtmMartech) => gtmMartech.debugLog.map(({ type, message }) => [type, message]);
+
+describe('Debug panel', () => {
+  let testSetup;
+  let window;
+
+  beforeEach(() => {
+    testSetup = new TestSetup();
+    const setup = testSetup.setup({ includeMain: true });
+    window = setup.window;
+  });
+
+  afterEach(() => {
+    window.localStorage.clear();
+    testSetup.cleanup();
+  });
+
+  describe('activation', () => {
+    it('should be disabled by default', async () => {
+      const gtmMartech = createGtmMartech();
+
+      expect(gtmMartech.debugLog).to.be.undefined;
+      await tick();
+      expect(document.querySelector('.gtm-martech-debug')).to.be.null;
+    });
+
+    it('should be enabled by the query parameter', async () => {
+      window.history.replaceState({}, '', '/?gtm-martech-debug');
+
+      const gtmMartech = createGtmMartech();
+
+      expect(gtmMartech.debugLog).to.be.an('array');
+      expect(await waitForPanel()).to.exist;
+    });
+
+    it('should warn when the panel cannot be shown', async () => {
+      const warn = sinon.stub(console, 'warn');
+      window.history.replaceState({}, '', '/?gtm-martech-debug');
+      document.body.remove();
+
+      createGtmMartech();
+      for (let i = 0; i < 10 && !warn.called; i += 1) {
+        // eslint-disable-next-line no-await-in-loop
+        await tick();
+      }
+      warn.restore();
+
+      sinon.assert.calledWith(warn, 'The debug panel could not be shown:', sinon.match.instanceOf(TypeError));
+    });
+
+    it('should be disabled by the query parameter', () => {
+      window.localStorage.setItem('gtm-martech-debug', 'true');
+      window.history.replaceState({}, '', '/?gtm-martech-debug=off');
+
+      expect(createGtmMartech().debugLog).to.be.undefined;
+    });
+
+    it('should be enabled by the localStorage flag', () => {
+      window.localStorage.setItem('gtm-martech-debug', 'true');
+
+      expect(createGtmMartech().debugLog).to.be.an('array');
+    });
+
+    it('should be disabled if localStorage is not available', () => {
+      const getItemStub = sinon.stub(window.Storage.prototype, 'getItem').throws(new Error('SecurityError'));
+      const gtmMartech = createGtmMartech();
+      getItemStub.restore();
+
+      expect(gtmMartech.debugLog).to.be.undefined;
+    });
+
+    it('should follow the debug configuration', () => {
+      window.localStorage.setItem('gtm-martech-debug', 'true');
+
+      expect(createGtmMartech({ debug: false }).debugLog).to.be.undefined;
+      expect(createGtmMartech({ debug: true }).debugLog).to.be.an('array');
+    });
+  });
+
+  describe('when enabled', () => {
+    let gtmMartech;
+    let panel;
+
+    beforeEach(async () => {
+      document.querySelector('main').innerHTML = `
+        <div class="section" data-section-status="loaded">
+          <div class="hero block" data-block-name="hero" data-block-status="loaded"></div>
+        </div>
+      `;
+      gtmMartech = createGtmMartech({
+        debug: true,
+        containers: {
+          lazy: [TEST_CONSTANTS.GTM_CONTAINER_1, { id: TEST_CONSTANTS.GTM_CONTAINER_2, requires: ['ad_storage'] }],
+        },
+      });
+      panel = await waitForPanel();
+    });
+
+    it('should record the consent & gtag commands from the start', () => {
+      expect(getEntries(gtmMartech)).to.deep.equal([
+        ['consent', 'consent default'],
+        ['gtag', 'js'],
+        ['gtag', `config ${TEST_CONSTANTS.MEASUREMENT_ID_1}`],
+      ]);
+      expect(gtmMartech.debugLog[0].data).to.include({ ad_storage: 'denied' });
+      expect(gtmMartech.debugLog[2].data).to.deep.equal([TEST_CONSTANTS.MEASUREMENT_ID_1, {}]);
+      expect(gtmMartech.debugLog[0].time).to.be.a('number');
+    });
+
+    it('should list the recorded entries with their timestamps', () => {
+      const items = panel.querySelectorAll('li');
+
+      expect(items).to.have.length(3);
+      expect(items[0].dataset.type).to.equal('consent');
+      expect(items[0].querySelector('time').textContent).to.match(/^\d+\.\d{3}s$/);
+      expect(items[0].querySelector('pre').textContent).to.include('"ad_storage": "denied"');
+    });
+
+    it('should list the data layer pushes as they happen', () => {
+      gtmMartech.pushToDataLayer({ event: 'sign_up', method: 'email' });
+      gtmMartech.pushToDataLayer({ ecommerce: null });
+
+      const items = [...panel.querySelectorAll('li')].slice(-2);
+      expect(items.map((li) => li.dataset.type)).to.deep.equal(['push', 'push']);
+      expect(items.map((li) => li.childNodes[2].textContent)).to.deep.equal(['sign_up', '(no event)']);
+      expect(JSON.parse(items[0].querySelector('pre').textContent)).to.deep.equal({ event: 'sign_up', method: 'email' });
+    });
+
+    it('should list the data that cannot be serialized as is', () => {
+      const payload = { event: 'circular' };
+      payload.self = payload;
+
+      gtmMartech.pushToDataLayer(payload);
+
+      expect(panel.querySelector('li:last-child pre').textContent).to.equal('[object Object]');
+    });
+
+    it('should record the consent updates', () => {
+      gtmMartech.updateUserConsent({ analytics_storage: 'granted' });
+
+      expect(getEntries(gtmMartech).slice(-1)).to.deep.equal([['consent', 'consent update']]);
+    });
+
+    it('should record the container injections & script loading', async () => {
+      await gtmMartech.lazy();
+      gtmMartech.updateUserConsent({ ad_storage: 'granted' });
+      document.querySelector(`script[src*="${TEST_CONSTANTS.GTM_CONTAINER_1}"]`).dispatchEvent(new window.Event('load'));
+      document.querySelector(`script[src*="${TEST_CONSTANTS.GTM_CONTAINER_2}"]`).dispatchEvent(new window.Event('error'));
+      await tick();
+
+      const entries = getEntries(gtmMartech).filter(([type]) => type === 'container' || type === 'script');
+      expect(entries).to.deep.equal([
+        ['container', `${TEST_CONSTANTS.GTM_CONTAINER_1} injected in the lazy phase`],
+        ['container', `${TEST_CONSTANTS.GTM_CONTAINER_2} injected in the lazy phase, once consent was granted`],
+        ['script', `Loaded https://www.googletagmanager.com/gtm.js?id=${TEST_CONSTANTS.GTM_CONTAINER_1}&l=gtmDataLayer`],
+        ['script', `Failed to load https://www.googletagmanager.com/gtm.js?id=${TEST_CONSTANTS.GTM_CONTAINER_2}&l=gtmDataLayer`],
+      ]);
+      expect(panel.querySelector('li[data-type="container"] details')).to.be.null;
+    });
+
+    it('should record the GA4 tag loading', async () => {
+      await gtmMartech.eager();
+      document.querySelector('script[src*="gtag/js"]').dispatchEvent(new window.Event('load'));
+      await tick();
+
+      expect(getEntries(gtmMartech).slice(-1)[0][1]).to.match(/^Loaded https:\/\/www\.googletagmanager\.com\/gtag\/js/);
+    });
+
+    it('should record & highlight the decorated sections & blocks', async () => {
+      await gtmMartech.lazy();
+
+      expect(getEntries(gtmMartech).filter(([type]) => type === 'element')).to.deep.equal([
+        ['element', 'Decorated section'],
+        ['element', 'Decorated hero'],
+      ]);
+      expect(document.body.classList.contains('gtm-martech-debug-highlight')).to.be.true;
+    });
+
+    it('should toggle the highlighting', () => {
+      const button = panel.querySelector('[data-action="highlight"]');
+
+      button.click();
+      expect(document.body.classList.contains('gtm-martech-debug-highlight')).to.be.false;
+      expect(button.getAttribute('aria-pressed')).to.equal('false');
+
+      button.click();
+      expect(document.body.classList.contains('gtm-martech-debug-highlight')).to.be.true;
+      expect(button.getAttribute('aria-pressed')).to.equal('true');
+    });
+
+    it('should clear the entries', () => {
+      panel.querySelector('[data-action="clear"]').click();
+
+      expect(gtmMartech.debugLog).to.have.length(0);
+      expect(panel.querySelectorAll('li')).to.have.length(0);
+    });
+
+    it('should hide & show the entries', () => {
+      const button = panel.querySelector('[data-action="toggle"]');
+
+      button.click();
+      expect(panel.querySelector('ol').hidden).to.be.true;
+      expect(button.textContent).to.equal('Show');
+      expect(button.getAttribute('aria-expanded')).to.equal('false');
+
+      button.click();
+      expect(panel.querySelector('ol').hidden).to.be.false;
+      expect(button.textContent).to.equal('Hide');
+    });
+
+    it('should ignore clicks outside the actions', () => {
+      panel.querySelector('h2').click();
+
+      expect(panel.querySelectorAll('li')).to.have.length(3);
+    });
+  });
+});
@@ -0,0 +1,173 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+/* eslint-disable no-unused-vars, no-unused-expressions */
+
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { TestSetup, TEST_CONSTANTS, createGtmMartech } from './helpers/setup.js';
+
+describe('GtmMartech delayed phase schedule', () => {
+  let testSetup;
+  let consoleWarnSpy;
+  let clock;
+  let phaseStart;
+
+  const create = (delayedSchedule) => createGtmMartech({
+    consent: false,
+    containers: { lazy: [], delayed: [TEST_CONSTANTS.GTM_CONTAINER_1] },
+    delayedSchedule,
+    on: { 'phase:start': phaseStart },
+  });
+  const getDelayedStarts = () => phaseStart.args.filter(([{ phase }]) => phase === 'delayed');
+  const isLoaded = () => document.querySelector(`script[src*="${TEST_CONSTANTS.GTM_CONTAINER_1}"]`) !== null;
+
+  beforeEach(() => {
+    testSetup = new TestSetup();
+    consoleWarnSpy = testSetup.setupWithConsoleWarn().consoleWarnSpy;
+    clock = sinon.useFakeTimers({ global: window, toFake: ['setTimeout', 'clearTimeout'] });
+    phaseStart = sinon.spy();
+    window.requestIdleCallback = sinon.stub().returns(1);
+    window.cancelIdleCallback = sinon.spy();
+  });
+
+  afterEach(() => {
+    clock.restore();
+    testSetup.cleanup();
+  });
+
+  it('should only run the delayed phase once', async () => {
+    const gtmMartech = create(false);
+
+    const delayed = gtmMartech.delayed();
+
+    expect(gtmMartech.delayed()).to.equal(delayed);
+    await delayed;
+    expect(getDelayedStarts()).to.have.length(1);
+  });
+
+  it('should run the delayed phase when called unbound, e.g. by a timeout', async () => {
+    const gtmMartech = create(false);
+
+    window.setTimeout(gtmMartech.delayed, 1000);
+    await clock.tickAsync(1000);
+    await gtmMartech.delayed();
+
+    expect(isLoaded()).to.be.true;
+    expect(getDelayedStarts()).to.have.length(1);
+  });
+
+  it('should not schedule the delayed phase by default', async () => {
+    const gtmMartech = create(undefined);
+
+    await gtmMartech.lazy();
+    await clock.tickAsync(60000);
+    window.dispatchEvent(new window.Event('scroll'));
+
+    expect(isLoaded()).to.be.false;
+    sinon.assert.notCalled(window.requestIdleCallback);
+  });
+
+  it('should run the delayed phase after a fixed delay', async () => {
+    const gtmMartech = create({ strategy: 'delay', delay: 1000 });
+
+    await gtmMartech.lazy();
+    await clock.tickAsync(999);
+    expect(isLoaded()).to.be.false;
+
+    await clock.tickAsync(1);
+    expect(isLoaded()).to.be.true;
+  });
+
+  it('should run the delayed phase once the browser is idle, with a deadline', async () => {
+    const gtmMartech = create({ strategy: 'idle', delay: 2000 });
+
+    await gtmMartech.lazy();
+    sinon.assert.calledOnceWithMatch(window.requestIdleCallback, sinon.match.func, { timeout: 2000 });
+    expect(isLoaded()).to.be.false;
+
+    window.requestIdleCallback.firstCall.args[0]();
+    expect(isLoaded()).to.be.true;
+  });
+
+  it('should fall back to the fixed delay if requestIdleCallback is not supported', async () => {
+    window.requestIdleCallback = undefined;
+    const gtmMartech = create({ strategy: 'idle' });
+
+    await gtmMartech.lazy();
+    await clock.tickAsync(2999);
+    expect(isLoaded()).to.be.false;
+
+    await clock.tickAsync(1);
+    expect(isLoaded()).to.be.true;
+  });
+
+  it('should run the delayed phase on the first interaction', async () => {
+    const gtmMartech = create({ strategy: 'interaction' });
+
+    await gtmMartech.lazy();
+    await clock.tickAsync(60000);
+    expect(isLoaded()).to.be.false;
+
+    document.body.dispatchEvent(new window.KeyboardEvent('keydown', { bubbles: true }));
+    expect(isLoaded()).to.be.true;
+  });
+
+  it('should run the delayed phase after a fixed delay by default', async () => {
+    const gtmMartech = create(true);
+
+    await gtmMartech.lazy();
+    window.dispatchEvent(new window.Event('scroll'));
+    await clock.tickAsync(2999);
+    expect(isLoaded()).to.be.false;
+    sinon.assert.notCalled(window.requestIdleCallback);
+
+    await clock.tickAsync(1);
+    expect(isLoaded()).to.be.true;
+  });
+
+  it('should run the delayed phase on whichever comes first, once', async () => {
+    const gtmMartech = create({ strategy: 'first' });
+
+    await gtmMartech.lazy();
+    sinon.assert.calledOnce(window.requestIdleCallback);
+
+    window.dispatchEvent(new window.Event('scroll'));
+    window.dispatchEvent(new window.Event('pointerdown'));
+    await clock.tickAsync(3000);
+
+    expect(isLoaded()).to.be.true;
+    expect(getDelayedStarts()).to.have.length(1);
+    sinon.assert.calledOnceWithExactly(window.cancelIdleCallback, 1);
+  });
+
+  it('should cancel the schedule when the delayed phase is run manually', async () => {
+    const gtmMartech = create({ strategy: 'first' });
+
+    await gtmMartech.lazy();
+    await gtmMartech.delayed();
+    window.dispatchEvent(new window.Event('scroll'));
+    await clock.tickAsync(3000);
+
+    expect(getDelayedStarts()).to.have.length(1);
+    sinon.assert.calledOnce(window.cancelIdleCallback);
+  });
+
+  it('should warn about unknown strategies', async () => {
+    const gtmMartech = create({ strategy: 'later' });
+
+    await gtmMartech.lazy();
+    await clock.tickAsync(60000);
+
+    expect(isLoaded()).to.be.false;
+    sinon.assert.calledWith(consoleWarnSpy, 'Unknown delayed phase strategy later, the delayed phase must be run manually');
+  });
+});
@@ -0,0 +1,157 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+/* eslint-disable no-unused-vars, no-unused-expressions */
+
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { TestSetup, createGtmMartech } from './helpers/setup.js';
+
+const ITEMS = [
+  {
+    item_id: 'SKU_1', item_name: 'T-shirt', price: 19.99, quantity: 2,
+  },
+  { item_id: 'SKU_2', price: 5.01 },
+];
+
+const getEcommerce = (dataLayer) => dataLayer.filter((entry) => 'ecommerce' in entry);
+
+describe('GtmMartech ecommerce', () => {
+  let testSetup;
+  let window;
+  let consoleWarnSpy;
+  let gtmMartech;
+
+  beforeEach(() => {
+    testSetup = new TestSetup();
+    const setup = testSetup.setupWithConsoleWarn({ includeMain: true });
+    window = setup.window;
+    consoleWarnSpy = setup.consoleWarnSpy;
+    gtmMartech = createGtmMartech({ consent: false });
+  });
+
+  afterEach(() => {
+    testSetup.cleanup();
+  });
+
+  it('should expose a method per GA4 ecommerce event', () => {
+    expect(Object.keys(gtmMartech.ecommerce)).to.deep.equal([
+      'viewItemList', 'selectItem', 'viewItem', 'addToWishlist', 'addToCart', 'removeFromCart', 'viewCart',
+      'beginCheckout', 'addShippingInfo', 'addPaymentInfo', 'purchase', 'refund', 'viewPromotion', 'selectPromotion',
+    ]);
+    expect(Object.isFrozen(gtmMartech.ecommerce)).to.be.true;
+  });
+
+  it('should clear the previous ecommerce object before each event', () => {
+    const result = gtmMartech.ecommerce.addToCart(ITEMS, { currency: 'USD', value: 30 });
+
+    expect(result).to.be.true;
+    expect(getEcommerce(window.gtmDataLayer)).to.deep.equal([
+      { ecommerce: null },
+      { event: 'add_to_cart', ecommerce: { currency: 'USD', value: 30, items: ITEMS } },
+    ]);
+  });
+
+  it('should compute the value from the items when missing', () => {
+    gtmMartech.ecommerce.beginCheckout(ITEMS, { currency: 'EUR', coupon: 'SUMMER' });
+
+    expect(getEcommerce(window.gtmDataLayer)[1].ecommerce).to.deep.equal({
+      currency: 'EUR', coupon: 'SUMMER', value: 44.99, items: ITEMS,
+    });
+  });
+
+  it('should not require a currency or value for list & promotion events', () => {
+    gtmMartech.ecommerce.viewItemList(ITEMS, { item_list_id: 'related' });
+    gtmMartech.ecommerce.viewPromotion(undefined, { promotion_id: 'P_1' });
+
+    expect(getEcommerce(window.gtmDataLayer)).to.deep.equal([
+      { ecommerce: null },
+      { event: 'view_item_list', ecommerce: { item_list_id: 'related', items: ITEMS } },
+      { ecommerce: null },
+      { event: 'view_promotion', ecommerce: { promotion_id: 'P_1' } },
+    ]);
+  });
+
+  it('should push purchases & full refunds', () => {
+    gtmMartech.ecommerce.purchase(ITEMS, {
+      currency: 'USD', transaction_id: 'T_1', tax: 4.9, shipping: 5,
+    });
+    gtmMartech.ecommerce.refund(undefined, { currency: 'USD', transaction_id: 'T_1', value: 54.89 });
+
+    const [, purchase, , refund] = getEcommerce(window.gtmDataLayer);
+    expect(purchase).to.deep.equal({
+      event: 'purchase',
+      ecommerce: {
+        currency: 'USD', transaction_id: 'T_1', tax: 4.9, shipping: 5, value: 44.99, items: ITEMS,
+      },
+    });
+    expect(refund).to.deep.equal({ event: 'refund', ecommerce: { currency: 'USD', transaction_id: 'T_1', value: 54.89 } });
+  });
+
+  it('should go through the consent buffer', () => {
+    const buffered = createGtmMartech({ consentBuffer: true });
+
+    buffered.ecommerce.viewItem([ITEMS[0]], { currency: 'USD' });
+
+    expect(getEcommerce(window.gtmDataLayer)).to.have.length(0);
+    expect(buffered.eventBuffer).to.have.length(2);
+  });
+
+  describe('validation', () => {
+    const expectInvalid = (result, errors) => {
+      expect(result).to.be.false;
+      expect(getEcommerce(window.gtmDataLayer)).to.have.length(0);
+      sinon.assert.calledWith(consoleWarnSpy, sinon.match(/^Invalid \w+ ecommerce event, it was not pushed:$/), errors);
+    };
+
+    it('should require items', () => {
+      expectInvalid(gtmMartech.ecommerce.viewItem(undefined, { currency: 'USD' }), ['items must be a non-empty array']);
+      expectInvalid(gtmMartech.ecommerce.selectItem([]), ['items must be a non-empty array']);
+    });
+
+    it('should validate the items against the GA4 item schema', () => {
+      const result = gtmMartech.ecommerce.addToCart([
+        null,
+        { price: 10 },
+        {
+          item_id: 42, item_brand: 'Acme', price: '19.99', quantity: NaN,
+        },
+        { item_name: 'Mug', item_category: ['kitchen'], discount: 2 },
+      ], { currency: 'USD' });
+
+      expectInvalid(result, [
+        'items[0] must be an object',
+        'items[1] must have an item_id or item_name',
+        'items[2].item_id must be a string',
+        'items[2].price must be a number',
+        'items[2].quantity must be a number',
+        'items[3].item_category must be a string',
+      ]);
+    });
+
+    it('should validate the event parameters', () => {
+      const result = gtmMartech.ecommerce.purchase(ITEMS, {
+        currency: 'usd', value: '44.99', transaction_id: '', tax: '1',
+      });
+
+      expectInvalid(result, [
+        'transaction_id is required',
+        'currency must be an ISO 4217 code, e.g. "USD"',
+        'value must be a number',
+        'tax must be a number',
+      ]);
+    });
+
+    it('should require a currency for events with a value', () => {
+      expectInvalid(gtmMartech.ecommerce.viewCart(ITEMS), ['currency must be an ISO 4217 code, e.g. "USD"']);
+    });
+  });
+});
@@ -0,0 +1,196 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+/* eslint-disable no-unused-vars, no-unused-expressions */
+
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { EventValidationError } from '../src/index.js';
+import { validate } from '../src/validation.js';
+import { TestSetup, createGtmMartech } from './helpers/setup.js';
+
+const SIGNUP_SCHEMA = {
+  type: 'object',
+  required: ['event', 'method'],
+  properties: {
+    event: { const: 'sign_up' },
+    method: { enum: ['email', 'google'] },
+    newsletter: { type: 'boolean' },
+  },
+};
+
+describe('Event schema validation', () => {
+  describe('validate', () => {
+    it('should accept values matching the schema', () => {
+      expect(validate({
+        type: 'object',
+        required: ['id'],
+        properties: {
+          id: { type: 'string', pattern: '^SKU_', minLength: 5 },
+          price: { type: 'number', minimum: 0, maximum: 1000 },
+          quantity: { type: ['integer', 'null'] },
+          tags: { type: 'array', items: { type: 'string' }, maxItems: 3 },
+        },
+      }, {
+        id: 'SKU_1', price: 9.99, quantity: 2, tags: ['new'], extra: true,
+      })).to.deep.equal([]);
+    });
+
+    it('should report the path, message and value of each violation', () => {
+      expect(validate({
+        type: 'object',
+        required: ['event', 'ecommerce'],
+        properties: {
+          ecommerce: {
+            type: 'object',
+            additionalProperties: { type: 'string' },
+            properties: {
+              items: {
+                type: 'array',
+                minItems: 2,
+                items: {
+                  type: 'object',
+                  additionalProperties: false,
+                  properties: { price: { type: 'number' }, name: { type: 'string', maxLength: 3 } },
+                },
+              },
+              value: { type: 'number', minimum: 0 },
+            },
+          },
+        },
+      }, {
+        ecommerce: {
+          items: [{ price: '19.99', name: 'Shirt', sku: 'A' }],
+          value: -1,
+          currency: 42,
+        },
+      })).to.deep.equal([
+        { path: '$.event', message: 'is required', value: undefined },
+        { path: '$.ecommerce.items', message: 'must have at least 2 items', value: [{ price: '19.99', name: 'Shirt', sku: 'A' }] },
+        { path: '$.ecommerce.items[0].price', message: 'must be of type number', value: '19.99' },
+        { path: '$.ecommerce.items[0].name', message: 'must be at most 3 characters long', value: 'Shirt' },
+        { path: '$.ecommerce.items[0].sku', message: 'is not allowed', value: 'A' },
+        { path: '$.ecommerce.value', message: 'must be >= 0', value: -1 },
+        { path: '$.ecommerce.currency', message: 'must be of type string', value: 42 },
+      ]);
+    });
+
+    it('should check the other keywords', () => {
+      expect(validate({ type: 'string', pattern: '^[A-Z]{3}$', minLength: 4 }, 'usd')).to.deep.equal([
+        { path: '$', message: 'must match ^[A-Z]{3}$', value: 'usd' },
+        { path: '$', message: 'must be at least 4 characters long', value: 'usd' },
+      ]);
+      expect(validate({ maximum: 5 }, 6)).to.deep.equal([{ path: '$', message: 'must be <= 5', value: 6 }]);
+      expect(validate({ maxItems: 1 }, [1, 2])).to.deep.equal([{ path: '$', message: 'must have at most 1 items', value: [1, 2] }]);
+      expect(validate({ type: 'integer' }, 1.5)).to.deep.equal([{ path: '$', message: 'must be of type integer', value: 1.5 }]);
+      expect(validate({ type: ['object', 'null'] }, [])).to.deep.equal([
+        { path: '$', message: 'must be of type object or null', value: [] },
+      ]);
+      expect(validate({ type: ['integer', 'null'] }, null)).to.deep.equal([]);
+      expect(validate({ required: ['id'] }, {})).to.deep.equal([{ path: '$.id', message: 'is required', value: undefined }]);
+      expect(validate({ const: 'a' }, 'b')).to.deep.equal([{ path: '$', message: 'must be "a"', value: 'b' }]);
+      expect(validate({ enum: [1, 'b'] }, 'c')).to.deep.equal([{ path: '$', message: 'must be one of 1, "b"', value: 'c' }]);
+    });
+  });
+
+  describe('pushToDataLayer', () => {
+    let testSetup;
+    let window;
+    let consoleWarnSpy;
+
+    const getEvents = () => window.gtmDataLayer.filter((entry) => entry.event === 'sign_up');
+
+    beforeEach(() => {
+      testSetup = new TestSetup();
+      const setup = testSetup.setupWithConsoleWarn({ includeMain: true });
+      window = setup.window;
+      consoleWarnSpy = setup.consoleWarnSpy;
+    });
+
+    afterEach(() => {
+      testSetup.cleanup();
+    });
+
+    it('should push events without a schema as is', () => {
+      const gtmMartech = createGtmMartech({ consent: false, eventValidation: { schemas: { sign_up: SIGNUP_SCHEMA } } });
+
+      gtmMartech.pushToDataLayer({ event: 'login', method: 42 });
+      gtmMartech.pushToDataLayer({ event: 'sign_up', method: 'email' });
+
+      expect(window.gtmDataLayer.slice(-2)).to.deep.equal([
+        { event: 'login', method: 42 },
+        { event: 'sign_up', method: 'email' },
+      ]);
+      sinon.assert.notCalled(consoleWarnSpy);
+    });
+
+    it('should warn with the path and value of invalid events, and push them by default', () => {
+      const gtmMartech = createGtmMartech({ consent: false });
+      gtmMartech.registerEventSchema('sign_up', SIGNUP_SCHEMA);
+
+      gtmMartech.pushToDataLayer({ event: 'sign_up', method: 'facebook', newsletter: 'yes' });
+
+      sinon.assert.calledWith(consoleWarnSpy, 'Invalid sign_up event:', [
+        '$.method must be one of "email", "google", got "facebook"',
+        '$.newsletter must be of type boolean, got "yes"',
+      ]);
+      expect(getEvents()).to.have.length(1);
+    });
+
+    it('should throw in strict mode', () => {
+      const gtmMartech = createGtmMartech({ consent: false, eventValidation: { mode: 'strict', schemas: { sign_up: SIGNUP_SCHEMA } } });
+
+      expect(() => gtmMartech.pushToDataLayer({ event: 'sign_up' }))
+        .to.throw(EventValidationError, 'Invalid sign_up event: $.method is required, got undefined')
+        .with.property('errors')
+        .that.deep.equals([{ path: '$.method', message: 'is required', value: undefined }]);
+      expect(getEvents()).to.have.length(0);
+    });
+
+    it('should drop invalid events in drop mode', () => {
+      const gtmMartech = createGtmMartech({ consent: false, eventValidation: { mode: 'drop', schemas: { sign_up: SIGNUP_SCHEMA } } });
+
+      gtmMartech.pushToDataLayer({ event: 'sign_up' });
+
+      expect(getEvents()).to.have.length(0);
+      sinon.assert.notCalled(consoleWarnSpy);
+    });
+
+    it('should tag invalid events in tag mode', () => {
+      const gtmMartech = createGtmMartech({ consent: false, eventValidation: { mode: 'tag', schemas: { sign_up: SIGNUP_SCHEMA } } });
+
+      gtmMartech.pushToDataLayer({ event: 'sign_up', method: 'email', newsletter: 1 });
+
+      expect(getEvents()).to.deep.equal([{
+        event: 'sign_up',
+        method: 'email',
+        newsletter: 1,
+        validation_errors: ['$.newsletter must be of type boolean, got 1'],
+      }]);
+    });
+
+    it('should validate the events before buffering them', () => {
+      const gtmMartech = createGtmMartech({ consentBuffer: true, eventValidation: { mode: 'drop', schemas: { sign_up: SIGNUP_SCHEMA } } });
+
+      gtmMartech.pushToDataLayer({ event: 'sign_up' });
+      gtmMartech.pushToDataLayer({ event: 'sign_up', method: 'google' });
+
+      expect(gtmMartech.eventBuffer).to.deep.equal([{ event: 'sign_up', method: 'google' }]);
+    });
+
+    it('should not share the registered schemas between instances', () => {
+      const gtmMartech = createGtmMartech({ consent: false });
+      gtmMartech.registerEventSchema('sign_up', SIGNUP_SCHEMA);
+
+      expect(createGtmMartech({ consent: false }).config.eventValidation).to.deep.equal({ mode: 'warn', schemas: {} });
+    });
+  });
+});
@@ -0,0 +1,217 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+/* eslint-disable no-unused-vars, no-unused-expressions */
+
+import { expect } from 'chai';
+import { TestSetup, createGtmMartech } from './helpers/setup.js';
+
+const PAGE = `
+  <div class="section" data-section-status="loaded">
+    <div class="form block" data-block-name="form" data-block-status="loaded">
+      <form novalidate>
+        <input name="email" type="email" required>
+        <input id="phone" pattern="[0-9]+">
+        <textarea></textarea>
+        <button type="submit">Send</button>
+      </form>
+    </div>
+    <div data-gtm-form="newsletter">
+      <form id="newsletter-form"><input name="email" type="email"></form>
+    </div>
+  </div>
+  <form id="standalone"><input name="q"></form>
+`;
+
+const getEvents = (dataLayer, name) => dataLayer.filter((entry) => entry.event === name);
+
+describe('Form tracking', () => {
+  let testSetup;
+  let window;
+  let form;
+  let gtmMartech;
+
+  const dispatch = (target, type) => target.dispatchEvent(new window.Event(type, { bubbles: true }));
+
+  beforeEach(async () => {
+    testSetup = new TestSetup();
+    const setup = testSetup.setup({ includeMain: true });
+    window = setup.window;
+    document.querySelector('main').innerHTML = PAGE;
+    form = document.querySelector('.form form');
+    // JSDOM does not implement form submission
+    document.addEventListener('submit', (ev) => ev.preventDefault());
+    gtmMartech = createGtmMartech({ consent: false, tracking: { forms: true } });
+    await gtmMartech.lazy();
+  });
+
+  afterEach(() => {
+    testSetup.cleanup();
+  });
+
+  it('should push form_start on the first interaction only', () => {
+    dispatch(form.elements.email, 'focusin');
+    dispatch(form.elements.email, 'input');
+    dispatch(form.elements.phone, 'focusin');
+
+    expect(getEvents(window.gtmDataLayer, 'form_start')).to.deep.equal([{
+      event: 'form_start',
+      form_id: 'form',
+      block_name: 'form',
+      section_index: 0,
+    }]);
+  });
+
+  it('should identify forms by their data-gtm-form id', () => {
+    const newsletter = document.getElementById('newsletter-form');
+    dispatch(newsletter.elements.email, 'input');
+
+    expect(getEvents(window.gtmDataLayer, 'form_start')[0].form_id).to.equal('newsletter');
+  });
+
+  it('should push field validation errors without the values', () => {
+    form.elements.email.value = 'not-an-email';
+    form.elements.email.checkValidity();
+    form.elements.email.value = '';
+    form.elements.email.checkValidity();
+    form.elements.phone.value = 'abc';
+    form.elements.phone.checkValidity();
+
+    const errors = getEvents(window.gtmDataLayer, 'form_field_error');
+    expect(errors.map((e) => [e.form_field, e.form_error])).to.deep.equal([
+      ['email', 'typeMismatch'],
+      ['email', 'valueMissing'],
+      ['phone', 'patternMismatch'],
+    ]);
+    expect(JSON.stringify(window.gtmDataLayer)).to.not.include('not-an-email');
+  });
+
+  it('should push form_submit with the submission status', () => {
+    dispatch(form, 'submit');
+    form.elements.email.value = 'jane@example.com';
+    dispatch(form, 'submit');
+
+    expect(getEvents(window.gtmDataLayer, 'form_submit').map((e) => e.form_submit_status)).to.deep.equal(['failure', 'success']);
+  });
+
+  it('should push form_submit_result with the outcome reported by the project', () => {
+    const report = (detail) => form.dispatchEvent(new window.CustomEvent('gtm-martech-form-result', { detail }));
+
+    report({ status: 'failure', error: 'Server error' });
+    report({ status: 'success' });
+    report();
+
+    expect(getEvents(window.gtmDataLayer, 'form_submit_result')).to.deep.equal([
+      {
+        event: 'form_submit_result',
+        form_id: 'form',
+        block_name: 'form',
+        section_index: 0,
+        form_submit_status: 'failure',
+        form_error: 'Server error',
+      },
+      {
+        event: 'form_submit_result',
+        form_id: 'form',
+        block_name: 'form',
+        section_index: 0,
+        form_submit_status: 'success',
+      },
+      {
+        event: 'form_submit_result',
+        form_id: 'form',
+        block_name: 'form',
+        section_index: 0,
+        form_submit_status: 'success',
+      },
+    ]);
+  });
+
+  it('should not abandon the forms submitted through a reported outcome', () => {
+    dispatch(form.elements.email, 'input');
+    form.dispatchEvent(new window.CustomEvent('gtm-martech-form-result', { detail: { status: 'success' } }));
+
+    window.dispatchEvent(new window.Event('pagehide'));
+
+    expect(getEvents(window.gtmDataLayer, 'form_abandon')).to.be.empty;
+  });
+
+  it('should push form_abandon with the last field touched when the visitor leaves the page', () => {
+    dispatch(form.elements.email, 'focusin');
+    dispatch(form.querySelector('textarea'), 'input');
+    dispatch(document.getElementById('newsletter-form').elements.email, 'input');
+    document.getElementById('newsletter-form').dispatchEvent(new window.Event('submit'));
+
+    Object.defineProperty(document, 'visibilityState', { value: 'hidden', configurable: true });
+    document.dispatchEvent(new window.Event('visibilitychange'));
+    window.dispatchEvent(new window.Event('pagehide'));
+
+    expect(getEvents(window.gtmDataLayer, 'form_abandon')).to.deep.equal([{
+      event: 'form_abandon',
+      form_id: 'form',
+      block_name: 'form',
+      section_index: 0,
+      form_last_field: 'textarea',
+    }]);
+  });
+
+  it('should not abandon the forms when the page is only hidden', () => {
+    dispatch(form.elements.email, 'input');
+
+    Object.defineProperty(document, 'visibilityState', { value: 'hidden', configurable: true });
+    document.dispatchEvent(new window.Event('visibilitychange'));
+    Object.defineProperty(document, 'visibilityState', { value: 'visible', configurable: true });
+    document.dispatchEvent(new window.Event('visibilitychange'));
+    dispatch(form, 'submit');
+    window.dispatchEvent(new window.Event('pagehide'));
+
+    expect(getEvents(window.gtmDataLayer, 'form_abandon')).to.be.empty;
+    expect(getEvents(window.gtmDataLayer, 'form_submit')).to.have.length(1);
+  });
+
+  it('should abandon the started forms and start the remaining forms again on virtual page views', () => {
+    const newsletter = document.getElementById('newsletter-form');
+    dispatch(form.elements.email, 'focusin');
+    dispatch(newsletter.elements.email, 'input');
+    newsletter.remove();
+
+    gtmMartech.pageView();
+    dispatch(form.elements.email, 'input');
+
+    expect(getEvents(window.gtmDataLayer, 'form_abandon').map((e) => e.form_id)).to.deep.equal(['form', 'newsletter']);
+    expect(getEvents(window.gtmDataLayer, 'form_start').map((e) => e.form_id)).to.deep.equal(['form', 'newsletter', 'form']);
+  });
+
+  it('should not push form_abandon for untouched forms', () => {
+    window.dispatchEvent(new window.Event('pagehide'));
+
+    expect(getEvents(window.gtmDataLayer, 'form_abandon')).to.have.length(0);
+  });
+
+  it('should only track forms in sections & blocks', () => {
+    dispatch(document.getElementById('standalone').elements.q, 'input');
+
+    expect(getEvents(window.gtmDataLayer, 'form_start')).to.have.length(0);
+  });
+
+  it('should fall back to the form id', async () => {
+    const section = document.createElement('div');
+    section.className = 'section';
+    section.innerHTML = '<form id="contact"><input name="name"></form>';
+    document.querySelector('main').append(section);
+    section.dataset.sectionStatus = 'loaded';
+    await Promise.resolve();
+
+    dispatch(section.querySelector('input'), 'input');
+
+    expect(getEvents(window.gtmDataLayer, 'form_start')[0].form_id).to.equal('contact');
+  });
+});
@@ -30,12 +30,13 @@ describe('gtag function', () => {
   });
 
   describe('when GtmMartech is initialized', () => {
-    it('should be available on window object', async () => {
+    it('should be available on the instance', async () => {
       // Initialize GtmMartech
       const gtmMartech = createGtmMartech();
 
-      // Verify gtag function is available on window
-      expect(window.gtag).to.be.a('function');
+      // Verify gtag function is available on the instance, but not installed globally
+      expect(gtmMartech.gtag).to.be.a('function');
+      expect(window.gtag).to.be.undefined;
     });
 
     it('should push arguments to datalayer', async () => {
@@ -45,7 +46,7 @@ describe('gtag function', () => {
       const initialLength = window.gtmDataLayer.length;
 
       // Call gtag with various arguments
-      window.gtag('event', 'test_event', { event_category: 'test' });
+      gtmMartech.gtag('event', 'test_event', { event_category: 'test' });
 
       // Verify arguments were pushed to datalayer
       expect(window.gtmDataLayer).to.have.length(initialLength + 1);
@@ -67,9 +68,9 @@ describe('gtag function', () => {
       const initialLength = window.gtmDataLayer.length;
 
       // Test multiple calls
-      window.gtag('config', TEST_CONSTANTS.MEASUREMENT_ID_1, { custom_parameter: 'value' });
-      window.gtag('consent', 'update', { analytics_storage: 'granted' });
-      window.gtag('js', new Date('2023-01-01T00:00:00Z'));
+      gtmMartech.gtag('config', TEST_CONSTANTS.MEASUREMENT_ID_1, { custom_parameter: 'value' });
+      gtmMartech.gtag('consent', 'update', { analytics_storage: 'granted' });
+      gtmMartech.gtag('js', new Date('2023-01-01T00:00:00Z'));
 
       // Verify all calls were pushed to datalayer
       expect(window.gtmDataLayer).to.have.length(initialLength + 3);
@@ -93,7 +94,7 @@ describe('gtag function', () => {
       const initialLength = window.customDataLayer.length;
 
       // Call gtag with custom datalayer
-      window.gtag('event', 'custom_event', { category: 'test' });
+      customGtmMartech.gtag('event', 'custom_event', { category: 'test' });
 
       // Verify event was pushed to custom datalayer
       expect(window.customDataLayer).to.have.length(initialLength + 1);
@@ -114,7 +115,7 @@ describe('gtag function', () => {
       const initialLength = window.gtmDataLayer.length;
 
       // Call gtag with complex ecommerce event
-      window.gtag('event', 'purchase', {
+      gtmMartech.gtag('event', 'purchase', {
         transaction_id: 'T_12345',
         value: 35.43,
         currency: 'USD',
@@ -155,7 +156,7 @@ describe('gtag function', () => {
 
       // Test large arguments
       const largeData = Array(1000).fill('test_data').map((item, index) => ({ id: index, value: item }));
-      window.gtag('event', 'large_event', { data: largeData });
+      gtmMartech.gtag('event', 'large_event', { data: largeData });
 
       // Verify large event was pushed to datalayer
       expect(window.gtmDataLayer).to.have.length(initialLength + 1);
@@ -177,7 +178,7 @@ describe('gtag function', () => {
       // Test circular references
       const circularData = { event: 'circular_event' };
       circularData.self = circularData;
-      window.gtag('event', 'circular_event', circularData);
+      gtmMartech.gtag('event', 'circular_event', circularData);
 
       // Verify circular event was pushed to datalayer
       expect(window.gtmDataLayer).to.have.length(initialLength + 1);
@@ -202,7 +203,7 @@ describe('gtag function', () => {
         callback: () => 'test',
         timestamp: Date.now(),
       };
-      window.gtag('event', 'function_event', functionData);
+      gtmMartech.gtag('event', 'function_event', functionData);
 
       // Verify function event was pushed to datalayer
       expect(window.gtmDataLayer).to.have.length(initialLength + 1);
@@ -222,7 +223,7 @@ describe('gtag function', () => {
       const initialLength = window.gtmDataLayer.length;
 
       // Test null and undefined
-      window.gtag('event', null, undefined);
+      gtmMartech.gtag('event', null, undefined);
 
       // Verify null/undefined event was pushed to datalayer
       expect(window.gtmDataLayer).to.have.length(initialLength + 1);
@@ -242,7 +243,7 @@ describe('gtag function', () => {
       const initialLength = window.gtmDataLayer.length;
 
       // Test empty strings
-      window.gtag('', '', '');
+      gtmMartech.gtag('', '', '');
 
       // Verify empty string event was pushed to datalayer
       expect(window.gtmDataLayer).to.have.length(initialLength + 1);
@@ -9,6 +9,7 @@
  * OF ANY KIND, either express or implied. See the License for the specific language
  * governing permissions and limitations under the License.
  */
+/* eslint-disable max-classes-per-file */
 
 import { JSDOM } from 'jsdom';
 import sinon from 'sinon';
@@ -99,6 +100,9 @@ export class TestSetup {
     });
     this.spies = [];
 
+    // Stop the pending timers, e.g. the script loading timeouts
+    this.window?.close();
+
     // Clean up global mocks
     delete global.window;
     delete global.document;
@@ -107,6 +111,102 @@ export class TestSetup {
   }
 }
 
+/**
+ * Minimal IntersectionObserver mock, as JSDOM does not implement it.
+ * Tests trigger intersections through the static `intersect` method.
+ */
+export class MockIntersectionObserver {
+  static instances = [];
+
+  constructor(callback, options = {}) {
+    this.callback = callback;
+    this.options = options;
+    this.targets = new Set();
+    MockIntersectionObserver.instances.push(this);
+  }
+
+  observe(target) {
+    this.targets.add(target);
+  }
+
+  unobserve(target) {
+    this.targets.delete(target);
+  }
+
+  disconnect() {
+    this.targets.clear();
+  }
+
+  /**
+   * Trigger an intersection change for a target on all the observers watching it
+   * @param {Element} target - The observed element
+   * @param {Object} entry - Additional entry properties (default: intersecting)
+   */
+  static intersect(target, entry = {}) {
+    MockIntersectionObserver.instances
+      .filter((observer) => observer.targets.has(target))
+      .forEach((observer) => observer.callback([{
+        target, isIntersecting: true, intersectionRatio: 1, ...entry,
+      }], observer));
+  }
+
+  static reset() {
+    MockIntersectionObserver.instances = [];
+  }
+}
+
+/**
+ * Minimal PerformanceObserver mock, as JSDOM does not implement it.
+ * Tests deliver entries through the static `emit` method, or queue them for `takeRecords` through `queue`.
+ */
+export class MockPerformanceObserver {
+  static supportedEntryTypes = ['largest-contentful-paint', 'layout-shift', 'event', 'paint', 'navigation'];
+
+  static instances = [];
+
+  constructor(callback) {
+    this.callback = callback;
+    this.records = [];
+    MockPerformanceObserver.instances.push(this);
+  }
+
+  observe(options) {
+    this.options = options;
+  }
+
+  takeRecords() {
+    const { records } = this;
+    this.records = [];
+    return records;
+  }
+
+  static find(type) {
+    return MockPerformanceObserver.instances.filter((observer) => observer.options?.type === type);
+  }
+
+  /**
+   * Deliver performance entries to all the observers of their type
+   * @param {string} type - The performance entry type
+   * @param {Array<Object>} entries - The performance entries
+   */
+  static emit(type, entries) {
+    MockPerformanceObserver.find(type).forEach((observer) => observer.callback({ getEntries: () => entries }, observer));
+  }
+
+  /**
+   * Queue performance entries on all the observers of their type, to be returned by `takeRecords`
+   * @param {string} type - The performance entry type
+   * @param {Array<Object>} entries - The performance entries
+   */
+  static queue(type, entries) {
+    MockPerformanceObserver.find(type).forEach((observer) => observer.records.push(...entries));
+  }
+
+  static reset() {
+    MockPerformanceObserver.instances = [];
+  }
+}
+
 /**
  * Create a GtmMartech instance with default test configuration
  * @param {Object} config - Additional configuration to merge with defaults
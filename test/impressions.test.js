@@ -0,0 +1,213 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+/* eslint-disable no-unused-vars, no-unused-expressions */
+
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { TestSetup, MockIntersectionObserver, createGtmMartech } from './helpers/setup.js';
+
+const PAGE = `
+  <div class="section" data-section-status="loaded">
+    <div class="hero block" data-block-name="hero" data-block-status="loaded"></div>
+  </div>
+  <div class="section" data-section-status="loaded">
+    <div class="cards three-up block" data-block-name="cards" data-block-status="loaded"></div>
+    <div class="carousel block" data-block-name="carousel" data-block-status="loaded"></div>
+  </div>
+`;
+
+const getEvents = (dataLayer) => dataLayer.filter((entry) => entry.event === 'block_impression');
+
+describe('Block impression tracking', () => {
+  let testSetup;
+  let window;
+  let clock;
+  let consoleWarnSpy;
+  let hero;
+  let cards;
+  let carousel;
+
+  const init = async (options = true) => {
+    const gtmMartech = createGtmMartech({ consent: false, tracking: { impressions: options } });
+    await gtmMartech.lazy();
+    return gtmMartech;
+  };
+
+  beforeEach(() => {
+    testSetup = new TestSetup();
+    const setup = testSetup.setupWithConsoleWarn({ includeMain: true });
+    window = setup.window;
+    consoleWarnSpy = setup.consoleWarnSpy;
+    window.IntersectionObserver = MockIntersectionObserver;
+    document.querySelector('main').innerHTML = PAGE;
+    [hero, cards, carousel] = document.querySelectorAll('.block');
+    clock = sinon.useFakeTimers({ global: window, toFake: ['setTimeout', 'clearTimeout'] });
+  });
+
+  afterEach(() => {
+    clock.restore();
+    MockIntersectionObserver.reset();
+    testSetup.cleanup();
+  });
+
+  it('should warn when IntersectionObserver is not supported', async () => {
+    delete window.IntersectionObserver;
+
+    await init();
+
+    sinon.assert.calledWith(consoleWarnSpy, 'IntersectionObserver is not supported, impression tracking is disabled');
+  });
+
+  it('should observe all blocks, but not sections', async () => {
+    await init();
+
+    const [observer] = MockIntersectionObserver.instances;
+    expect(observer.options.threshold).to.include.members([0, 0.5, 1]);
+    expect([...observer.targets]).to.have.members([hero, cards, carousel]);
+  });
+
+  it('should only observe the allowed blocks', async () => {
+    await init({ blocks: ['hero', 'cards'], visibility: 0.8 });
+
+    const [observer] = MockIntersectionObserver.instances;
+    expect(observer.options.threshold).to.include(0.8);
+    expect([...observer.targets]).to.have.members([hero, cards]);
+  });
+
+  it('should push a batched impression for the blocks that stayed visible', async () => {
+    await init();
+
+    MockIntersectionObserver.intersect(hero);
+    MockIntersectionObserver.intersect(cards);
+    clock.tick(1000);
+    expect(getEvents(window.gtmDataLayer)).to.have.length(0);
+
+    clock.tick(2000);
+    expect(getEvents(window.gtmDataLayer)).to.deep.equal([{
+      event: 'block_impression',
+      blocks: [
+        {
+          block_name: 'hero', block_position: 0, block_variants: '', section_index: 0,
+        },
+        {
+          block_name: 'cards', block_position: 1, block_variants: 'three-up', section_index: 1,
+        },
+      ],
+    }]);
+  });
+
+  it('should not count blocks that left the viewport too early', async () => {
+    await init({ duration: 500 });
+
+    MockIntersectionObserver.intersect(hero);
+    MockIntersectionObserver.intersect(hero);
+    clock.tick(400);
+    MockIntersectionObserver.intersect(hero, { intersectionRatio: 0.2 });
+    clock.tick(5000);
+
+    expect(getEvents(window.gtmDataLayer)).to.have.length(0);
+  });
+
+  it('should count the blocks taller than the viewport once they cover enough of it', async () => {
+    await init();
+    const rootBounds = { height: 800 };
+
+    MockIntersectionObserver.intersect(cards, { intersectionRatio: 0.15, intersectionRect: { height: 300 }, rootBounds });
+    clock.tick(3000);
+    expect(getEvents(window.gtmDataLayer)).to.have.length(0);
+
+    MockIntersectionObserver.intersect(cards, { intersectionRatio: 0.2, intersectionRect: { height: 400 }, rootBounds });
+    clock.tick(3000);
+    expect(getEvents(window.gtmDataLayer)[0].blocks[0].block_name).to.equal('cards');
+  });
+
+  it('should count each block only once per page view', async () => {
+    await init();
+
+    MockIntersectionObserver.intersect(hero);
+    clock.tick(3000);
+    MockIntersectionObserver.intersect(hero);
+    clock.tick(3000);
+
+    expect(getEvents(window.gtmDataLayer)).to.have.length(1);
+  });
+
+  it('should push the pending impressions and count the remaining blocks again on virtual page views', async () => {
+    const gtmMartech = await init();
+    const [observer] = MockIntersectionObserver.instances;
+    const unobserve = sinon.spy(observer, 'unobserve');
+    const observe = sinon.spy(observer, 'observe');
+
+    MockIntersectionObserver.intersect(hero);
+    MockIntersectionObserver.intersect(cards);
+    clock.tick(1000);
+    MockIntersectionObserver.intersect(carousel);
+    cards.remove();
+    gtmMartech.pageView();
+
+    expect(getEvents(window.gtmDataLayer).map((e) => e.blocks.map((b) => b.block_name))).to.deep.equal([['hero', 'cards']]);
+    expect([...observer.targets]).to.have.members([hero, carousel]);
+
+    // The pending carousel impression of the previous page was cancelled, and the carousel observed again
+    clock.tick(5000);
+    expect(getEvents(window.gtmDataLayer)).to.have.length(1);
+    sinon.assert.callOrder(unobserve.withArgs(carousel), observe.withArgs(carousel));
+
+    MockIntersectionObserver.intersect(hero);
+    MockIntersectionObserver.intersect(carousel);
+    clock.tick(3000);
+    expect(getEvents(window.gtmDataLayer)[1].blocks.map((b) => b.block_name)).to.deep.equal(['hero', 'carousel']);
+  });
+
+  it('should push the pending impressions when the page is hidden', async () => {
+    await init();
+
+    MockIntersectionObserver.intersect(carousel);
+    clock.tick(1000);
+    Object.defineProperty(document, 'visibilityState', { value: 'hidden', configurable: true });
+    document.dispatchEvent(new window.Event('visibilitychange'));
+
+    expect(getEvents(window.gtmDataLayer)).to.have.length(1);
+    expect(getEvents(window.gtmDataLayer)[0].blocks[0].block_name).to.equal('carousel');
+
+    // Nothing left to push
+    window.dispatchEvent(new window.Event('pagehide'));
+    clock.tick(2000);
+    expect(getEvents(window.gtmDataLayer)).to.have.length(1);
+  });
+
+  it('should ignore visibility changes to visible', async () => {
+    await init();
+
+    MockIntersectionObserver.intersect(carousel);
+    clock.tick(1000);
+    document.dispatchEvent(new window.Event('visibilitychange'));
+
+    expect(getEvents(window.gtmDataLayer)).to.have.length(0);
+  });
+
+  it('should track blocks loaded later in fragments', async () => {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'fragment-wrapper';
+    document.querySelector('.section').append(wrapper);
+    await init();
+
+    const block = document.createElement('div');
+    block.className = 'teaser block';
+    block.dataset.blockName = 'teaser';
+    block.dataset.blockStatus = 'loaded';
+    wrapper.append(block);
+    await Promise.resolve();
+
+    expect(MockIntersectionObserver.instances[0].targets.has(block)).to.be.true;
+  });
+});
@@ -0,0 +1,238 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+/* eslint-disable no-unused-vars, no-unused-expressions */
+
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { TestSetup, TEST_CONSTANTS, createGtmMartech } from './helpers/setup.js';
+
+const TAG_URL = `https://www.googletagmanager.com/gtag/js?id=${TEST_CONSTANTS.MEASUREMENT_ID_1}&l=gtmDataLayer`;
+const CONTAINER_1_URL = `https://www.googletagmanager.com/gtm.js?id=${TEST_CONSTANTS.GTM_CONTAINER_1}&l=gtmDataLayer`;
+const CONTAINER_2_URL = `https://www.googletagmanager.com/gtm.js?id=${TEST_CONSTANTS.GTM_CONTAINER_2}&l=gtmDataLayer`;
+
+// eslint-disable-next-line no-promise-executor-return
+const tick = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+describe('GtmMartech lifecycle events', () => {
+  let testSetup;
+  let consoleWarnSpy;
+
+  const dispatch = (src, type) => document.querySelector(`script[src="${src}"]`).dispatchEvent(new window.Event(type));
+
+  beforeEach(() => {
+    testSetup = new TestSetup();
+    consoleWarnSpy = testSetup.setupWithConsoleWarn({ includeMain: true }).consoleWarnSpy;
+  });
+
+  afterEach(() => {
+    testSetup.cleanup();
+  });
+
+  describe('Handlers', () => {
+    it('should announce the start & end of each phase', async () => {
+      const handler = sinon.spy();
+      const gtmMartech = createGtmMartech({ consent: false });
+      gtmMartech.on('phase:start', (detail) => handler('start', detail));
+      gtmMartech.on('phase:end', (detail) => handler('end', detail));
+
+      await gtmMartech.eager();
+      await gtmMartech.lazy();
+      await gtmMartech.delayed();
+
+      expect(handler.args).to.deep.equal([
+        ['start', { phase: 'eager' }],
+        ['end', { phase: 'eager' }],
+        ['start', { phase: 'lazy' }],
+        ['end', { phase: 'lazy' }],
+        ['start', { phase: 'delayed' }],
+        ['end', { phase: 'delayed' }],
+      ]);
+    });
+
+    it('should announce the GA4 tags that loaded', async () => {
+      const handler = sinon.spy();
+      const gtmMartech = createGtmMartech();
+      gtmMartech.on('tag:loaded', handler);
+
+      await gtmMartech.eager();
+      await tick();
+      sinon.assert.notCalled(handler);
+
+      dispatch(TAG_URL, 'load');
+      await tick();
+      sinon.assert.calledOnceWithExactly(handler, { id: TEST_CONSTANTS.MEASUREMENT_ID_1, phase: 'eager', url: TAG_URL });
+    });
+
+    it('should announce the GTM containers that loaded, but not the failed ones', async () => {
+      const handler = sinon.spy();
+      const gtmMartech = createGtmMartech({
+        consent: false,
+        containers: { lazy: [TEST_CONSTANTS.GTM_CONTAINER_1], delayed: [TEST_CONSTANTS.GTM_CONTAINER_2] },
+      });
+      gtmMartech.on('container:loaded', handler);
+
+      await gtmMartech.lazy();
+      await gtmMartech.delayed();
+      dispatch(CONTAINER_1_URL, 'error');
+      dispatch(CONTAINER_2_URL, 'load');
+      await tick();
+
+      sinon.assert.calledOnceWithExactly(handler, { id: TEST_CONSTANTS.GTM_CONTAINER_2, phase: 'delayed', url: CONTAINER_2_URL });
+    });
+
+    it('should announce the default consent to the handlers from the config', () => {
+      const handler = sinon.spy();
+
+      createGtmMartech({
+        consentDefaults: { regions: [{ region: ['FR'], analytics_storage: 'denied' }] },
+        on: { 'consent:default': handler },
+      });
+
+      expect(handler.args.map(([{ consent }]) => consent.region)).to.deep.equal([['FR'], undefined]);
+    });
+
+    it('should announce the consent updates, including the restored choices', () => {
+      const handler = sinon.spy();
+      window.localStorage.setItem('gtm_martech_consent', JSON.stringify({
+        version: 1,
+        expires: Date.now() + 60000,
+        consent: { analytics_storage: 'granted' },
+      }));
+
+      const gtmMartech = createGtmMartech({
+        consentStorage: { type: 'localStorage' },
+        on: { 'consent:update': handler },
+      });
+      gtmMartech.updateUserConsent({ ad_storage: 'granted' });
+
+      expect(handler.args).to.deep.equal([
+        [{ consent: { analytics_storage: 'granted' } }],
+        [{ consent: { ad_storage: 'granted' } }],
+      ]);
+    });
+
+    it('should announce the decorated sections & blocks', async () => {
+      const handler = sinon.spy();
+      const gtmMartech = createGtmMartech({ consent: false, on: { 'element:decorated': handler } });
+      const section = document.createElement('div');
+      section.setAttribute('data-section-status', 'loaded');
+      document.querySelector('main').append(section);
+
+      await gtmMartech.lazy();
+
+      sinon.assert.calledOnceWithExactly(handler, { element: section });
+    });
+
+    it('should warn about the element:decorated handlers registered too late', async () => {
+      const handler = sinon.spy();
+      const gtmMartech = createGtmMartech({ consent: false });
+      gtmMartech.on('element:decorated', handler);
+      gtmMartech.off('element:decorated', handler);
+      sinon.assert.notCalled(consoleWarnSpy);
+
+      await gtmMartech.lazy();
+      gtmMartech.on('element:decorated', sinon.spy());
+
+      sinon.assert.calledOnceWithExactly(
+        consoleWarnSpy,
+        'The element:decorated handlers must be registered before the lazy phase, this one is never called',
+      );
+    });
+
+    it('should stop calling the unregistered handlers', () => {
+      const handler = sinon.spy();
+      const gtmMartech = createGtmMartech();
+
+      gtmMartech.on('consent:update', handler);
+      gtmMartech.off('consent:update', handler);
+      gtmMartech.off('phase:start', handler);
+      gtmMartech.updateUserConsent({ ad_storage: 'granted' });
+
+      sinon.assert.notCalled(handler);
+    });
+
+    it('should call the other handlers if one fails', () => {
+      const error = new Error('Handler error');
+      const handler = sinon.spy();
+      const gtmMartech = createGtmMartech();
+
+      gtmMartech.on('consent:update', () => {
+        throw error;
+      });
+      gtmMartech.on('consent:update', handler);
+      gtmMartech.updateUserConsent({ ad_storage: 'granted' });
+
+      sinon.assert.calledOnce(handler);
+      sinon.assert.calledWith(consoleWarnSpy, 'A consent:update handler failed:', error);
+    });
+  });
+
+  describe('Ready promises', () => {
+    const track = (promise) => {
+      const result = { settled: false };
+      promise.then(() => {
+        result.settled = true;
+      });
+      return result;
+    };
+
+    it('should resolve once the phase ran and its scripts loaded', async () => {
+      const gtmMartech = createGtmMartech();
+      const ready = track(gtmMartech.ready('eager'));
+
+      await tick();
+      expect(ready.settled).to.be.false;
+
+      await gtmMartech.eager();
+      await tick();
+      expect(ready.settled).to.be.false;
+
+      dispatch(TAG_URL, 'load');
+      await tick();
+      expect(ready.settled).to.be.true;
+    });
+
+    it('should resolve once the lazy & delayed containers loaded', async () => {
+      const gtmMartech = createGtmMartech({
+        consent: false,
+        containers: { lazy: [TEST_CONSTANTS.GTM_CONTAINER_1], delayed: [TEST_CONSTANTS.GTM_CONTAINER_2] },
+      });
+      const lazy = track(gtmMartech.ready('lazy'));
+      const delayed = track(gtmMartech.ready('delayed'));
+
+      await gtmMartech.lazy();
+      await gtmMartech.delayed();
+      dispatch(CONTAINER_2_URL, 'load');
+      await tick();
+      expect(lazy.settled).to.be.false;
+      expect(delayed.settled).to.be.true;
+
+      dispatch(CONTAINER_1_URL, 'load');
+      await tick();
+      expect(lazy.settled).to.be.true;
+    });
+
+    it('should resolve the eager phase if analytics is disabled', async () => {
+      const gtmMartech = createGtmMartech({ analytics: false });
+
+      await gtmMartech.eager();
+
+      await gtmMartech.ready('eager');
+    });
+
+    it('should not return a promise for unknown phases', () => {
+      const gtmMartech = createGtmMartech();
+
+      expect(gtmMartech.ready('unknown')).to.be.undefined;
+    });
+  });
+});
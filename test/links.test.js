@@ -0,0 +1,158 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+/* eslint-disable no-unused-vars, no-unused-expressions */
+
+import { expect } from 'chai';
+import { TestSetup, createGtmMartech } from './helpers/setup.js';
+
+const PAGE = `
+  <div class="section" data-section-status="loaded">
+    <div class="links block" data-block-name="links" data-block-status="loaded">
+      <a id="outbound" href="https://www.adobe.com/products"> Adobe products </a>
+      <a id="internal" href="/about">About</a>
+      <a id="subdomain" href="https://shop.example.com/cart">Cart</a>
+      <a id="mailto" href="mailto:info@example.com">Email us</a>
+      <a id="tel" href="tel:+15555555">Call us</a>
+      <a id="download" href="/docs/Brochure.PDF?v=2">Brochure</a>
+      <a id="internal-file" href="/docs/page.html">Page</a>
+      <a id="javascript" href="javascript:void(0)">Noop</a>
+      <a id="invalid" href="http://[invalid">Invalid</a>
+    </div>
+  </div>
+`;
+
+const getEvents = (dataLayer) => dataLayer.filter((entry) => ['click', 'file_download'].includes(entry.event));
+
+describe('Link tracking', () => {
+  let testSetup;
+  let window;
+
+  const click = (id) => document.getElementById(id).click();
+
+  beforeEach(() => {
+    testSetup = new TestSetup();
+    const setup = testSetup.setup({ includeMain: true });
+    window = setup.window;
+    document.querySelector('main').innerHTML = PAGE;
+    // JSDOM does not implement navigation
+    document.addEventListener('click', (ev) => ev.preventDefault());
+  });
+
+  afterEach(() => {
+    testSetup.cleanup();
+  });
+
+  it('should not track links when disabled', async () => {
+    const gtmMartech = createGtmMartech({ consent: false });
+    await gtmMartech.lazy();
+
+    click('outbound');
+
+    expect(getEvents(window.gtmDataLayer)).to.have.length(0);
+  });
+
+  describe('when enabled', () => {
+    beforeEach(async () => {
+      const gtmMartech = createGtmMartech({
+        consent: false,
+        tracking: { links: { internalDomains: ['example.com'] } },
+      });
+      await gtmMartech.lazy();
+    });
+
+    it('should track outbound links', () => {
+      click('outbound');
+
+      expect(getEvents(window.gtmDataLayer)).to.deep.equal([{
+        event: 'click',
+        link_type: 'outbound',
+        link_domain: 'www.adobe.com',
+        outbound: true,
+        link_url: 'https://www.adobe.com/products',
+        link_text: 'Adobe products',
+        block_name: 'links',
+        section_index: 0,
+      }]);
+    });
+
+    it('should not track internal or unparseable links', () => {
+      click('internal');
+      click('subdomain');
+      click('internal-file');
+      click('javascript');
+      click('invalid');
+
+      expect(getEvents(window.gtmDataLayer)).to.have.length(0);
+    });
+
+    it('should track mailto and tel links, without the email address or phone number', () => {
+      click('mailto');
+      click('tel');
+
+      const [email, phone] = getEvents(window.gtmDataLayer);
+      expect(email).to.include({ event: 'click', link_type: 'email', link_url: 'mailto:' });
+      expect(phone).to.include({
+        event: 'click', link_type: 'phone', link_url: 'tel:', link_text: 'Call us',
+      });
+    });
+
+    it('should track file downloads', () => {
+      click('download');
+
+      expect(getEvents(window.gtmDataLayer)).to.deep.equal([{
+        event: 'file_download',
+        file_extension: 'pdf',
+        file_name: 'Brochure.PDF',
+        link_url: 'http://localhost/docs/Brochure.PDF?v=2',
+        link_text: 'Brochure',
+        block_name: 'links',
+        section_index: 0,
+      }]);
+    });
+
+    it('should only track each link once', () => {
+      // Both the section & the block were decorated
+      click('outbound');
+
+      expect(getEvents(window.gtmDataLayer)).to.have.length(1);
+    });
+
+    it('should track links in blocks loaded later', async () => {
+      const block = document.createElement('div');
+      block.className = 'promo block';
+      block.dataset.blockName = 'promo';
+      block.innerHTML = `<a href="https://partner.test/${'x'.repeat(50)}">${'Long text '.repeat(20)}</a>`;
+      document.querySelector('.section').append(block);
+      block.dataset.blockStatus = 'loaded';
+      // eslint-disable-next-line no-promise-executor-return
+      await new Promise((resolve) => setTimeout(resolve, 0));
+
+      block.querySelector('a').click();
+
+      const [event] = getEvents(window.gtmDataLayer);
+      expect(event.block_name).to.equal('promo');
+      expect(event.link_text).to.have.length(100);
+    });
+  });
+
+  it('should support custom download extensions', async () => {
+    const gtmMartech = createGtmMartech({ consent: false, tracking: { links: { downloadExtensions: ['html'] } } });
+    await gtmMartech.lazy();
+
+    click('internal-file');
+    click('download');
+
+    const events = getEvents(window.gtmDataLayer);
+    expect(events).to.have.length(1);
+    expect(events[0].file_extension).to.equal('html');
+  });
+});
@@ -0,0 +1,258 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+/* eslint-disable no-unused-vars, no-unused-expressions */
+
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { TestSetup, TEST_CONSTANTS, createGtmMartech } from './helpers/setup.js';
+import detectAdBlocker from '../src/probe.js';
+
+const TAG_URL = `https://www.googletagmanager.com/gtag/js?id=${TEST_CONSTANTS.MEASUREMENT_ID_1}&l=gtmDataLayer`;
+const CONTAINER_URL = `https://www.googletagmanager.com/gtm.js?id=${TEST_CONSTANTS.GTM_CONTAINER_1}&l=gtmDataLayer`;
+
+// The failures are reported once the ad blocker detection completed, so it may take a few ticks
+const waitFor = async (condition) => {
+  for (let i = 0; i < 50 && !condition(); i += 1) {
+    // eslint-disable-next-line no-await-in-loop, no-promise-executor-return
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+};
+
+describe('GtmMartech load errors', () => {
+  let testSetup;
+  let consoleWarnSpy;
+
+  // Create an instance, with a promise resolved once it reported a failure
+  const createReporting = (config) => {
+    let gtmMartech;
+    const reported = new Promise((resolve) => {
+      gtmMartech = createGtmMartech({ consent: false, ...config, onError: resolve });
+    });
+    return { gtmMartech, reported };
+  };
+
+  const dispatch = (src, type) => document.querySelector(`script[src="${src}"]`).dispatchEvent(new window.Event(type));
+  const getErrorEvents = () => window.gtmDataLayer.filter((entry) => entry.event === 'martech_load_error');
+
+  // Simulate the cosmetic filters of an ad blocker
+  const blockAds = (rule = 'display: none') => {
+    const style = document.createElement('style');
+    style.textContent = `.adsbox { ${rule}; }`;
+    document.head.append(style);
+  };
+
+  beforeEach(() => {
+    testSetup = new TestSetup();
+    consoleWarnSpy = testSetup.setupWithConsoleWarn().consoleWarnSpy;
+  });
+
+  afterEach(() => {
+    testSetup.cleanup();
+  });
+
+  describe('Reporting', () => {
+    it('should push an event for the GA4 tags that failed to load', async () => {
+      const { gtmMartech, reported } = createReporting();
+
+      await gtmMartech.eager();
+      dispatch(TAG_URL, 'error');
+      await reported;
+
+      expect(getErrorEvents()).to.deep.equal([{
+        event: 'martech_load_error',
+        script_type: 'tag',
+        script_id: TEST_CONSTANTS.MEASUREMENT_ID_1,
+        phase: 'eager',
+        reason: 'error',
+        ad_blocker: false,
+      }]);
+    });
+
+    it('should push an event for the GTM containers that timed out', async () => {
+      const { gtmMartech, reported } = createReporting({
+        containers: { lazy: [], delayed: [TEST_CONSTANTS.GTM_CONTAINER_1] },
+        scriptLoader: { timeout: 20 },
+      });
+
+      await gtmMartech.delayed();
+      await reported;
+
+      expect(getErrorEvents()).to.deep.equal([{
+        event: 'martech_load_error',
+        script_type: 'container',
+        script_id: TEST_CONSTANTS.GTM_CONTAINER_1,
+        phase: 'delayed',
+        reason: 'timeout',
+        ad_blocker: false,
+      }]);
+    });
+
+    it('should not report the scripts that loaded', async () => {
+      const onError = sinon.spy();
+      const gtmMartech = createGtmMartech({ consent: false, onError, scriptLoader: { wait: true } });
+
+      const eager = gtmMartech.eager();
+      dispatch(TAG_URL, 'load');
+      await eager;
+
+      expect(getErrorEvents()).to.be.empty;
+      sinon.assert.notCalled(onError);
+    });
+
+    it('should call the onError callback with the failed script', async () => {
+      let gtmMartech;
+      const reported = new Promise((resolve) => {
+        gtmMartech = createGtmMartech({ containers: [TEST_CONSTANTS.GTM_CONTAINER_1], onError: resolve });
+      });
+
+      await gtmMartech.lazy();
+      dispatch(CONTAINER_URL, 'error');
+
+      expect(await reported).to.deep.equal({
+        type: 'container',
+        id: TEST_CONSTANTS.GTM_CONTAINER_1,
+        phase: 'lazy',
+        url: CONTAINER_URL,
+        reason: 'error',
+        adBlocker: false,
+      });
+    });
+
+    it('should report the phase of the containers held back until consent was granted', async () => {
+      let gtmMartech;
+      const reported = new Promise((resolve) => {
+        gtmMartech = createGtmMartech({
+          containers: { lazy: [], delayed: [{ id: TEST_CONSTANTS.GTM_CONTAINER_1, requires: ['ad_storage'] }] },
+          onError: resolve,
+        });
+      });
+
+      await gtmMartech.delayed();
+      gtmMartech.updateUserConsent({ ad_storage: 'granted' });
+      dispatch(CONTAINER_URL, 'error');
+
+      expect((await reported).phase).to.equal('delayed');
+    });
+
+    it('should report the detected ad blocker', async () => {
+      blockAds();
+      const { gtmMartech, reported } = createReporting();
+
+      await gtmMartech.eager();
+      dispatch(TAG_URL, 'error');
+
+      expect((await reported).adBlocker).to.be.true;
+      expect(getErrorEvents()[0].ad_blocker).to.be.true;
+    });
+
+    it('should not wait for the report to settle the phase', async () => {
+      const onError = sinon.spy();
+      const gtmMartech = createGtmMartech({ consent: false, onError, scriptLoader: { wait: true } });
+
+      const eager = gtmMartech.eager();
+      dispatch(TAG_URL, 'error');
+      await eager;
+      await gtmMartech.ready('eager');
+
+      sinon.assert.notCalled(onError);
+    });
+
+    it('should warn about a failing onError callback', async () => {
+      const error = new Error('Callback error');
+      const gtmMartech = createGtmMartech({ consent: false, onError: sinon.stub().throws(error) });
+
+      await gtmMartech.eager();
+      dispatch(TAG_URL, 'error');
+      await waitFor(() => consoleWarnSpy.calledWith('The onError callback failed:', error));
+
+      sinon.assert.calledWith(consoleWarnSpy, 'The onError callback failed:', error);
+      expect(getErrorEvents()).to.have.length(1);
+    });
+
+    it('should report the failure if the ad blocker detection failed', async () => {
+      const { gtmMartech, reported } = createReporting();
+      sinon.stub(gtmMartech, 'detectAdBlocker').rejects(new Error('Detection error'));
+
+      await gtmMartech.eager();
+      dispatch(TAG_URL, 'error');
+
+      expect((await reported).adBlocker).to.be.undefined;
+      expect(getErrorEvents()).to.have.length(1);
+    });
+
+    it('should call the onError callback if the event cannot be pushed', async () => {
+      const { gtmMartech, reported } = createReporting({
+        eventValidation: {
+          mode: 'strict',
+          schemas: { martech_load_error: { type: 'object', required: ['missing'] } },
+        },
+      });
+
+      await gtmMartech.eager();
+      dispatch(TAG_URL, 'error');
+      await reported;
+
+      sinon.assert.calledWith(consoleWarnSpy, 'The martech_load_error event could not be pushed:');
+      expect(getErrorEvents()).to.be.empty;
+    });
+  });
+
+  describe('Ad blocker detection', () => {
+    it('should not detect an ad blocker if the bait is visible', async () => {
+      expect(await detectAdBlocker(0)).to.be.false;
+      expect(document.querySelector('.adsbox')).to.be.null;
+    });
+
+    it('should detect an ad blocker hiding the bait', async () => {
+      blockAds();
+
+      expect(await detectAdBlocker(0)).to.be.true;
+      expect(document.querySelector('.adsbox')).to.be.null;
+    });
+
+    it('should detect an ad blocker making the bait invisible', async () => {
+      blockAds('visibility: hidden');
+
+      expect(await detectAdBlocker(0)).to.be.true;
+    });
+
+    it('should detect an ad blocker removing the bait', async () => {
+      const observer = new window.MutationObserver(() => document.querySelector('.adsbox')?.remove());
+      observer.observe(document.body, { childList: true });
+
+      expect(await detectAdBlocker(0)).to.be.true;
+      observer.disconnect();
+    });
+
+    it('should only run the detection once per instance', async () => {
+      const gtmMartech = createGtmMartech();
+
+      const detection = gtmMartech.detectAdBlocker();
+
+      expect(gtmMartech.detectAdBlocker()).to.equal(detection);
+      expect(gtmMartech.adBlocker).to.equal(detection);
+      expect(await detection).to.be.false;
+    });
+
+    it('should report an ad blocker and run the detection again if it failed', async () => {
+      const gtmMartech = createGtmMartech();
+      const { body } = document;
+      body.remove();
+
+      expect(await gtmMartech.detectAdBlocker()).to.be.true;
+      expect(gtmMartech.adBlocker).to.be.undefined;
+
+      document.documentElement.append(body);
+      expect(await gtmMartech.detectAdBlocker()).to.be.false;
+    });
+  });
+});
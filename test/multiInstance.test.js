@@ -0,0 +1,105 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+/* eslint-disable no-unused-vars, no-unused-expressions */
+
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { TestSetup, TEST_CONSTANTS, createGtmMartech } from './helpers/setup.js';
+
+describe('GtmMartech multiple instances', () => {
+  let testSetup;
+  let window;
+  let consoleWarnSpy;
+
+  beforeEach(() => {
+    testSetup = new TestSetup();
+    const setup = testSetup.setupWithConsoleWarn();
+    window = setup.window;
+    consoleWarnSpy = setup.consoleWarnSpy;
+  });
+
+  afterEach(() => {
+    testSetup.cleanup();
+  });
+
+  it('should give each instance a gtag scoped to its data layer', () => {
+    const site = createGtmMartech();
+    const microsite = createGtmMartech({ dataLayerInstanceName: 'micrositeDataLayer', tags: [TEST_CONSTANTS.MEASUREMENT_ID_2] });
+
+    site.gtag('event', 'site_event');
+    microsite.gtag('event', 'microsite_event');
+
+    expect(window.gtmDataLayer.filter((entry) => entry[0] === 'event').map((entry) => entry[1])).to.deep.equal(['site_event']);
+    expect(window.micrositeDataLayer.filter((entry) => entry[0] === 'event').map((entry) => entry[1]))
+      .to.deep.equal(['microsite_event']);
+    expect(window.micrositeDataLayer.find((entry) => entry[0] === 'config')[1]).to.equal(TEST_CONSTANTS.MEASUREMENT_ID_2);
+    expect(window.gtag).to.be.undefined;
+    sinon.assert.notCalled(consoleWarnSpy);
+  });
+
+  it('should install the global gtag when enabled', () => {
+    const gtmMartech = createGtmMartech({ globalGtag: true });
+
+    expect(window.gtag).to.equal(gtmMartech.gtag);
+    window.gtag('event', 'global_event');
+    expect(window.gtmDataLayer[window.gtmDataLayer.length - 1][1]).to.equal('global_event');
+  });
+
+  it('should not overwrite a gtag defined by another script', () => {
+    const gtag = () => {};
+    window.gtag = gtag;
+
+    createGtmMartech({ globalGtag: true });
+
+    expect(window.gtag).to.equal(gtag);
+    sinon.assert.calledWith(consoleWarnSpy, 'window.gtag is already defined by another script or instance, it was not overwritten');
+  });
+
+  it('should not overwrite the global gtag of another instance', () => {
+    const site = createGtmMartech({ globalGtag: true });
+
+    createGtmMartech({ dataLayerInstanceName: 'micrositeDataLayer', globalGtag: true });
+
+    expect(window.gtag).to.equal(site.gtag);
+    sinon.assert.calledOnce(consoleWarnSpy);
+  });
+
+  it('should report instances sharing a data layer', () => {
+    createGtmMartech();
+    createGtmMartech();
+
+    sinon.assert.calledWith(
+      consoleWarnSpy,
+      'The gtmDataLayer data layer is already used by another instance, set a distinct dataLayerInstanceName',
+    );
+  });
+
+  it('should reuse an existing data layer', () => {
+    window.gtmDataLayer = [{ event: 'early_event' }];
+
+    const gtmMartech = createGtmMartech();
+
+    expect(gtmMartech.dataLayer).to.equal(window.gtmDataLayer);
+    expect(window.gtmDataLayer[0]).to.deep.equal({ event: 'early_event' });
+    sinon.assert.notCalled(consoleWarnSpy);
+  });
+
+  it('should replace a conflicting global that is not a data layer', () => {
+    window.gtmDataLayer = { version: 1 };
+
+    const gtmMartech = createGtmMartech();
+
+    expect(window.gtmDataLayer).to.be.an('array');
+    expect(gtmMartech.dataLayer).to.equal(window.gtmDataLayer);
+    sinon.assert.calledWith(consoleWarnSpy, 'window.gtmDataLayer is not a data layer, it was replaced');
+  });
+});
@@ -0,0 +1,104 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+/* eslint-disable no-unused-vars, no-unused-expressions */
+
+import { expect } from 'chai';
+import sinon from 'sinon';
+import oneTrustConsent from '../src/consent/onetrust.js';
+import { TestSetup, createGtmMartech } from './helpers/setup.js';
+
+describe('OneTrust consent adapter', () => {
+  let testSetup;
+  let window;
+
+  beforeEach(() => {
+    testSetup = new TestSetup();
+    const setup = testSetup.setup({ includeMain: true });
+    window = setup.window;
+  });
+
+  afterEach(() => {
+    testSetup.cleanup();
+  });
+
+  it('should resolve immediately when OneTrust is already loaded', async () => {
+    window.OnetrustActiveGroups = ',C0001,C0002,';
+
+    const consent = await oneTrustConsent()(createGtmMartech());
+
+    expect(consent).to.deep.equal({
+      ad_storage: 'denied',
+      ad_user_data: 'denied',
+      ad_personalization: 'denied',
+      analytics_storage: 'granted',
+      functionality_storage: 'denied',
+      personalization_storage: 'denied',
+      security_storage: 'granted',
+    });
+  });
+
+  it('should resolve when OneTrust calls the OptanonWrapper', async () => {
+    const callback = sinon.spy();
+    oneTrustConsent()(createGtmMartech()).then(callback);
+    await Promise.resolve();
+    sinon.assert.notCalled(callback);
+
+    window.OnetrustActiveGroups = ',C0001,C0004,';
+    window.OptanonWrapper();
+    await Promise.resolve();
+
+    sinon.assert.calledOnce(callback);
+    expect(callback.firstCall.args[0].ad_storage).to.equal('granted');
+    expect(callback.firstCall.args[0].analytics_storage).to.equal('denied');
+  });
+
+  it('should keep calling a project defined OptanonWrapper', async () => {
+    const projectWrapper = sinon.spy();
+    window.OptanonWrapper = projectWrapper;
+    oneTrustConsent()(createGtmMartech());
+
+    window.OnetrustActiveGroups = ',C0001,';
+    window.OptanonWrapper();
+    window.OptanonWrapper();
+
+    sinon.assert.calledTwice(projectWrapper);
+  });
+
+  it('should support custom category ids', async () => {
+    window.OnetrustActiveGroups = ',1,3,';
+
+    const consent = await oneTrustConsent({
+      categories: { analytics_storage: '3', ad_storage: '4' },
+    })(createGtmMartech());
+
+    expect(consent).to.deep.equal({ analytics_storage: 'granted', ad_storage: 'denied' });
+  });
+
+  it('should update the consent when the groups are updated', async () => {
+    window.OnetrustActiveGroups = ',C0001,';
+    const gtmMartech = createGtmMartech();
+    const updateUserConsentSpy = sinon.spy(gtmMartech, 'updateUserConsent');
+    await oneTrustConsent({ categories: { analytics_storage: 'C0002' } })(gtmMartech);
+
+    window.dispatchEvent(new window.CustomEvent('OneTrustGroupsUpdated', { detail: ['C0001', 'C0002'] }));
+
+    sinon.assert.calledOnceWithExactly(updateUserConsentSpy, { analytics_storage: 'granted' });
+  });
+
+  it('should resolve on the first groups update', async () => {
+    const promise = oneTrustConsent({ categories: { analytics_storage: 'C0002' } })(createGtmMartech());
+
+    window.dispatchEvent(new window.CustomEvent('OneTrustGroupsUpdated', { detail: ['C0001'] }));
+
+    expect(await promise).to.deep.equal({ analytics_storage: 'denied' });
+  });
+});
@@ -0,0 +1,122 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+/* eslint-disable no-unused-vars, no-unused-expressions */
+
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { TestSetup, createGtmMartech } from './helpers/setup.js';
+
+describe('GtmMartech page metadata mapping', () => {
+  let testSetup;
+  let window;
+  let consoleWarnSpy;
+
+  const getTagConfig = () => window.gtmDataLayer.find((entry) => entry[0] === 'config')[2];
+
+  beforeEach(() => {
+    testSetup = new TestSetup();
+    const setup = testSetup.setupWithConsoleWarn({ includeMain: true });
+    window = setup.window;
+    consoleWarnSpy = setup.consoleWarnSpy;
+    document.head.innerHTML = `
+      <meta name="template" content="Article">
+      <meta name="theme" content=" dark ">
+      <meta name="tags" content="news, Product,">
+      <meta name="reading-time" content="7">
+      <meta name="empty" content="">
+      <meta property="og:type" content="article">
+      <meta property="article:tag" content="launch">
+      <meta property="article:tag" content="ai">
+    `;
+  });
+
+  afterEach(() => {
+    testSetup.cleanup();
+  });
+
+  it('should not extract any metadata by default', () => {
+    const gtmMartech = createGtmMartech();
+
+    expect(gtmMartech.config.pageMetadata).to.deep.equal({});
+    expect(getTagConfig()).to.deep.equal({});
+  });
+
+  it('should map the meta names & properties to GA4 parameters', () => {
+    createGtmMartech({
+      pageMetadataMapping: {
+        template: 'page_template',
+        theme: 'page_theme',
+        'og:type': 'content_type',
+        'article:tag': 'content_tags',
+      },
+    });
+
+    expect(getTagConfig()).to.deep.equal({
+      page_template: 'Article',
+      page_theme: 'dark',
+      content_type: 'article',
+      content_tags: 'launch, ai',
+    });
+  });
+
+  it('should transform the values', () => {
+    createGtmMartech({
+      pageMetadataMapping: {
+        template: { param: 'page_template', transform: 'lowercase' },
+        tags: { param: 'page_tags', transform: 'list' },
+        'reading-time': { param: 'reading_time', transform: 'number' },
+        'og:type': { param: 'content_type', transform: (value) => value.toUpperCase() },
+      },
+    });
+
+    expect(getTagConfig()).to.deep.equal({
+      page_template: 'article',
+      page_tags: ['news', 'Product'],
+      reading_time: 7,
+      content_type: 'ARTICLE',
+    });
+  });
+
+  it('should warn about unknown transforms and keep the value', () => {
+    createGtmMartech({ pageMetadataMapping: { template: { param: 'page_template', transform: 'titlecase' } } });
+
+    sinon.assert.calledWith(consoleWarnSpy, 'Unknown page metadata transform: titlecase');
+    expect(getTagConfig()).to.deep.equal({ page_template: 'Article' });
+  });
+
+  it('should use the defaults for missing or empty meta tags', () => {
+    createGtmMartech({
+      pageMetadataMapping: {
+        empty: { param: 'empty', default: 'none' },
+        category: { param: 'page_category', default: 'general', transform: 'lowercase' },
+        missing: { param: 'missing' },
+        'og:missing': 'og_missing',
+      },
+    });
+
+    expect(getTagConfig()).to.deep.equal({ empty: 'none', page_category: 'general' });
+  });
+
+  it('should let the explicit page metadata take precedence', () => {
+    const gtmMartech = createGtmMartech({
+      pageMetadata: { page_template: 'landing', language: 'en' },
+      pageMetadataMapping: { template: 'page_template', theme: 'page_theme' },
+    });
+
+    expect(gtmMartech.config.pageMetadata).to.deep.equal({
+      page_template: 'landing',
+      page_theme: 'dark',
+      language: 'en',
+    });
+    expect(getTagConfig()).to.deep.equal(gtmMartech.config.pageMetadata);
+  });
+});
@@ -0,0 +1,214 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+/* eslint-disable no-unused-vars, no-unused-expressions */
+
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { TestSetup, TEST_CONSTANTS, createGtmMartech } from './helpers/setup.js';
+
+const getPageViews = (dataLayer) => dataLayer
+  .filter((entry) => entry[0] === 'event' && entry[1] === 'page_view')
+  .map((entry) => entry[2]);
+
+describe('GtmMartech virtual page views', () => {
+  let testSetup;
+  let window;
+
+  beforeEach(() => {
+    testSetup = new TestSetup();
+    const setup = testSetup.setup({ includeMain: true });
+    window = setup.window;
+    document.title = 'Home';
+    document.querySelector('main').innerHTML = '<div class="section" data-section-status="loaded"></div>';
+  });
+
+  afterEach(() => {
+    testSetup.cleanup();
+  });
+
+  describe('pageView', () => {
+    it('should send a page_view to every tag', () => {
+      const gtmMartech = createGtmMartech({
+        tags: [TEST_CONSTANTS.MEASUREMENT_ID_1, TEST_CONSTANTS.MEASUREMENT_ID_2],
+        pageMetadata: { page_template: 'home', language: 'en' },
+      });
+      window.history.pushState({}, '', '/search?q=shoes');
+      document.title = 'Search';
+
+      gtmMartech.pageView({ page_template: 'search' });
+
+      const expected = {
+        page_template: 'search',
+        language: 'en',
+        page_location: 'http://localhost/search?q=shoes',
+        page_referrer: 'http://localhost/',
+        page_title: 'Search',
+      };
+      expect(getPageViews(window.gtmDataLayer)).to.deep.equal([
+        { ...expected, send_to: TEST_CONSTANTS.MEASUREMENT_ID_1 },
+        { ...expected, send_to: TEST_CONSTANTS.MEASUREMENT_ID_2 },
+      ]);
+      expect(gtmMartech.pageLocation).to.equal('http://localhost/search?q=shoes');
+    });
+
+    it('should extract the page metadata of the new page from its meta tags', () => {
+      document.head.innerHTML = '<meta name="template" content="home"><meta name="keywords" content="shoes">';
+      const gtmMartech = createGtmMartech({
+        pageMetadata: { language: 'en', site_section: 'shop' },
+        pageMetadataMapping: { template: 'page_template', keywords: 'keywords', section: 'site_section' },
+      });
+      document.head.innerHTML = '<title>Article</title><meta name="template" content="article"><meta name="section" content="blog">';
+      window.history.pushState({}, '', '/article');
+
+      gtmMartech.pageView({ language: 'fr' });
+
+      expect(getPageViews(window.gtmDataLayer)[0]).to.deep.equal({
+        page_template: 'article',
+        site_section: 'shop',
+        language: 'fr',
+        page_location: 'http://localhost/article',
+        page_referrer: 'http://localhost/',
+        page_title: 'Article',
+        send_to: TEST_CONSTANTS.MEASUREMENT_ID_1,
+      });
+    });
+
+    it('should use the previous virtual page as referrer', () => {
+      const gtmMartech = createGtmMartech();
+      window.history.pushState({}, '', '/step-1');
+      gtmMartech.pageView();
+      window.history.pushState({}, '', '/step-2');
+      gtmMartech.pageView();
+
+      expect(getPageViews(window.gtmDataLayer)[1]).to.include({
+        page_location: 'http://localhost/step-2',
+        page_referrer: 'http://localhost/step-1',
+      });
+    });
+
+    it('should reset the trackers', async () => {
+      const gtmMartech = createGtmMartech();
+      const reset = sinon.spy();
+      gtmMartech.trackers.push({ reset }, { decorate: () => {} });
+
+      gtmMartech.pageView();
+
+      sinon.assert.calledOnce(reset);
+    });
+
+    it('should decorate the new content', async () => {
+      const decorateCallback = sinon.spy();
+      const gtmMartech = createGtmMartech({ decorateCallback });
+      await gtmMartech.lazy();
+      const main = document.querySelector('main');
+      const section = main.firstElementChild;
+
+      // Content nested in a wrapper, and a replaced main element
+      main.innerHTML = '<div class="wrapper"><div class="hero block" data-block-status="loaded"></div></div>';
+      const newMain = document.createElement('main');
+      newMain.innerHTML = '<div class="section" data-section-status="loaded"></div>';
+      gtmMartech.pageView();
+
+      expect(decorateCallback.args.map(([el]) => el)).to.deep.equal([section, main.querySelector('.hero')]);
+
+      main.replaceWith(newMain);
+      gtmMartech.pageView();
+      const block = document.createElement('div');
+      block.dataset.blockStatus = 'loading';
+      newMain.firstElementChild.append(block);
+      block.dataset.blockStatus = 'loaded';
+      // eslint-disable-next-line no-promise-executor-return
+      await new Promise((resolve) => setTimeout(resolve, 0));
+
+      expect(decorateCallback.args.map(([el]) => el).slice(2)).to.deep.equal([newMain.firstElementChild, block]);
+    });
+
+    it('should send page views before the lazy phase', () => {
+      const gtmMartech = createGtmMartech();
+
+      gtmMartech.pageView();
+
+      expect(getPageViews(window.gtmDataLayer)).to.have.length(1);
+    });
+  });
+
+  describe('history listener', () => {
+    let clock;
+    let gtmMartech;
+
+    beforeEach(async () => {
+      clock = sinon.useFakeTimers({ global: window, toFake: ['setTimeout', 'clearTimeout'] });
+      gtmMartech = createGtmMartech({ historyPageViews: true });
+      await gtmMartech.lazy();
+    });
+
+    afterEach(() => {
+      clock.restore();
+    });
+
+    it('should not listen to the history by default', async () => {
+      const other = createGtmMartech();
+      await other.lazy();
+      sinon.spy(other, 'pageView');
+
+      window.history.pushState({}, '', '/other');
+      clock.tick(0);
+
+      sinon.assert.notCalled(other.pageView);
+    });
+
+    it('should send a page view once the url changed through pushState or replaceState', () => {
+      window.history.pushState({}, '', '/products');
+      document.title = 'Products';
+      expect(getPageViews(window.gtmDataLayer)).to.have.length(0);
+
+      clock.tick(0);
+      window.history.replaceState({}, '', '/products?color=red');
+      clock.tick(0);
+
+      expect(getPageViews(window.gtmDataLayer).map((params) => [params.page_location, params.page_title])).to.deep.equal([
+        ['http://localhost/products', 'Products'],
+        ['http://localhost/products?color=red', 'Products'],
+      ]);
+    });
+
+    it('should send a single page view for successive changes', () => {
+      window.history.pushState({}, '', '/a');
+      window.history.replaceState({}, '', '/b');
+      clock.tick(0);
+
+      expect(getPageViews(window.gtmDataLayer).map((params) => params.page_location)).to.deep.equal(['http://localhost/b']);
+    });
+
+    it('should ignore hash changes & unchanged urls', () => {
+      window.history.pushState({}, '', '/#details');
+      clock.tick(0);
+      window.history.replaceState({ step: 2 }, '');
+      clock.tick(0);
+
+      expect(getPageViews(window.gtmDataLayer)).to.have.length(0);
+    });
+
+    it('should send a page view when navigating back', () => {
+      window.history.pushState({}, '', '/a');
+      clock.tick(0);
+      window.history.replaceState({}, '', '/');
+      window.dispatchEvent(new window.PopStateEvent('popstate'));
+      clock.tick(0);
+
+      expect(getPageViews(window.gtmDataLayer).map((params) => params.page_location)).to.deep.equal([
+        'http://localhost/a',
+        'http://localhost/',
+      ]);
+    });
+  });
+});
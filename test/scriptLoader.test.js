@@ -0,0 +1,283 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+/* eslint-disable no-unused-vars, no-unused-expressions */
+
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { TestSetup, TEST_CONSTANTS, createGtmMartech } from './helpers/setup.js';
+
+const TAG_URL = `https://www.googletagmanager.com/gtag/js?id=${TEST_CONSTANTS.MEASUREMENT_ID_1}&l=gtmDataLayer`;
+const CONTAINER_1_URL = `https://www.googletagmanager.com/gtm.js?id=${TEST_CONSTANTS.GTM_CONTAINER_1}&l=gtmDataLayer`;
+const CONTAINER_2_URL = `https://www.googletagmanager.com/gtm.js?id=${TEST_CONSTANTS.GTM_CONTAINER_2}&l=gtmDataLayer`;
+
+// eslint-disable-next-line no-promise-executor-return
+const tick = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+describe('GtmMartech script loader', () => {
+  let testSetup;
+
+  const getScripts = (src) => document.querySelectorAll(`script[src="${src}"]`);
+  const dispatch = (src, type) => getScripts(src)[0].dispatchEvent(new window.Event(type));
+
+  beforeEach(() => {
+    testSetup = new TestSetup();
+    testSetup.setupWithConsoleWarn();
+  });
+
+  afterEach(() => {
+    testSetup.cleanup();
+  });
+
+  describe('Registry', () => {
+    it('should insert each script once, and track its loading state', async () => {
+      const gtmMartech = createGtmMartech();
+
+      await gtmMartech.eager();
+      await gtmMartech.eager();
+
+      expect(getScripts(TAG_URL)).to.have.length(1);
+      expect(gtmMartech.scripts.get(TAG_URL).state).to.equal('pending');
+
+      dispatch(TAG_URL, 'load');
+      await tick();
+
+      expect(gtmMartech.scripts.get(TAG_URL).state).to.equal('loaded');
+    });
+
+    it('should share the loading state with the other instances', async () => {
+      const first = createGtmMartech({ containers: [TEST_CONSTANTS.GTM_CONTAINER_1], consent: false });
+      const second = createGtmMartech({ containers: [TEST_CONSTANTS.GTM_CONTAINER_1], consent: false });
+
+      await first.lazy();
+      await second.lazy();
+
+      expect(getScripts(CONTAINER_1_URL)).to.have.length(1);
+      expect(second.scripts.get(CONTAINER_1_URL)).to.equal(first.scripts.get(CONTAINER_1_URL));
+    });
+
+    it('should track the scripts that failed to load', async () => {
+      const gtmMartech = createGtmMartech();
+
+      await gtmMartech.eager();
+      dispatch(TAG_URL, 'error');
+      await tick();
+
+      expect(gtmMartech.scripts.get(TAG_URL).state).to.equal('failed');
+    });
+
+    it('should wait for a matching script that is already in the document', async () => {
+      const script = document.createElement('script');
+      script.src = TAG_URL;
+      document.body.append(script);
+      const gtmMartech = createGtmMartech();
+
+      await gtmMartech.eager();
+
+      expect(getScripts(TAG_URL)).to.have.length(1);
+      expect(gtmMartech.scripts.get(TAG_URL).state).to.equal('pending');
+
+      script.dispatchEvent(new window.Event('load'));
+      await tick();
+
+      expect(gtmMartech.scripts.get(TAG_URL).state).to.equal('loaded');
+    });
+
+    it('should not wait for a matching script that already finished loading', async () => {
+      const script = document.createElement('script');
+      script.src = TAG_URL;
+      document.head.append(script);
+      window.performance.getEntriesByName = sinon.stub().withArgs(TAG_URL, 'resource').returns([{ name: TAG_URL }]);
+      const gtmMartech = createGtmMartech();
+
+      await gtmMartech.eager();
+      await tick();
+
+      expect(getScripts(TAG_URL)).to.have.length(1);
+      expect(gtmMartech.scripts.get(TAG_URL).state).to.equal('loaded');
+    });
+  });
+
+  describe('Timeout & retries', () => {
+    let clock;
+
+    beforeEach(() => {
+      clock = sinon.useFakeTimers({ global: window, toFake: ['setTimeout', 'clearTimeout'] });
+    });
+
+    afterEach(() => {
+      clock.restore();
+    });
+
+    it('should fail the scripts that did not load in time', async () => {
+      const gtmMartech = createGtmMartech({ scriptLoader: { timeout: 5000 } });
+
+      await gtmMartech.eager();
+      await clock.tickAsync(4999);
+      expect(gtmMartech.scripts.get(TAG_URL).state).to.equal('pending');
+
+      await clock.tickAsync(1);
+      expect(gtmMartech.scripts.get(TAG_URL).state).to.equal('failed');
+    });
+
+    it('should wait indefinitely by default', async () => {
+      const gtmMartech = createGtmMartech();
+
+      await gtmMartech.eager();
+      await clock.tickAsync(60000);
+
+      expect(gtmMartech.scripts.get(TAG_URL).state).to.equal('pending');
+    });
+
+    it('should not time out once the script is loaded', async () => {
+      const gtmMartech = createGtmMartech({ scriptLoader: { timeout: 10000 } });
+
+      await gtmMartech.eager();
+      dispatch(TAG_URL, 'load');
+      await clock.tickAsync(10000);
+
+      expect(gtmMartech.scripts.get(TAG_URL).state).to.equal('loaded');
+    });
+
+    it('should track the timed out scripts that load later', async () => {
+      const handler = sinon.spy();
+      const gtmMartech = createGtmMartech({ scriptLoader: { timeout: 5000 } });
+      gtmMartech.on('tag:loaded', handler);
+
+      await gtmMartech.eager();
+      await clock.tickAsync(5000);
+      expect(gtmMartech.scripts.get(TAG_URL).state).to.equal('failed');
+
+      dispatch(TAG_URL, 'load');
+      await clock.tickAsync(0);
+      expect(gtmMartech.scripts.get(TAG_URL).state).to.equal('loaded');
+      sinon.assert.calledOnce(handler);
+    });
+
+    it('should not insert the timed out scripts again, as they may still run', async () => {
+      const gtmMartech = createGtmMartech({ scriptLoader: { timeout: 5000, retries: 2 } });
+
+      await gtmMartech.eager();
+      const script = getScripts(TAG_URL)[0];
+      await clock.tickAsync(60000);
+
+      expect(getScripts(TAG_URL)).to.have.length(1);
+      expect(getScripts(TAG_URL)[0]).to.equal(script);
+      expect(gtmMartech.scripts.get(TAG_URL).state).to.equal('failed');
+    });
+
+    it('should insert the failed scripts again, with an exponential backoff', async () => {
+      const gtmMartech = createGtmMartech({ scriptLoader: { retries: 2, backoff: 1000 } });
+
+      await gtmMartech.eager();
+      dispatch(TAG_URL, 'error');
+      await clock.tickAsync(999);
+      expect(getScripts(TAG_URL)).to.have.length(0);
+
+      await clock.tickAsync(1);
+      expect(getScripts(TAG_URL)).to.have.length(1);
+
+      dispatch(TAG_URL, 'error');
+      await clock.tickAsync(1999);
+      expect(getScripts(TAG_URL)).to.have.length(0);
+
+      await clock.tickAsync(1);
+      expect(getScripts(TAG_URL)).to.have.length(1);
+      expect(gtmMartech.scripts.get(TAG_URL).state).to.equal('pending');
+
+      dispatch(TAG_URL, 'load');
+      await clock.tickAsync(0);
+      expect(gtmMartech.scripts.get(TAG_URL).state).to.equal('loaded');
+    });
+
+    it('should fail the scripts once there are no retries left', async () => {
+      const gtmMartech = createGtmMartech({ scriptLoader: { retries: 1 } });
+
+      await gtmMartech.eager();
+      dispatch(TAG_URL, 'error');
+      await clock.tickAsync(1000);
+      dispatch(TAG_URL, 'error');
+      await clock.tickAsync(0);
+
+      expect(gtmMartech.scripts.get(TAG_URL).state).to.equal('failed');
+      expect(getScripts(TAG_URL)).to.have.length(1);
+    });
+  });
+
+  describe('Waiting for the scripts', () => {
+    const track = (promise) => {
+      const result = { settled: false };
+      promise.then(() => {
+        result.settled = true;
+      });
+      return result;
+    };
+
+    it('should not wait for the scripts by default', async () => {
+      const gtmMartech = createGtmMartech();
+
+      await gtmMartech.eager();
+
+      expect(gtmMartech.scripts.get(TAG_URL).state).to.equal('pending');
+    });
+
+    it('should resolve the eager phase once the GA4 tags are loaded', async () => {
+      const gtmMartech = createGtmMartech({ scriptLoader: { wait: true } });
+
+      const eager = track(gtmMartech.eager());
+      await tick();
+      expect(eager.settled).to.be.false;
+
+      dispatch(TAG_URL, 'load');
+      await tick();
+      expect(eager.settled).to.be.true;
+    });
+
+    it('should resolve the lazy phase once the lazy containers are loaded or failed', async () => {
+      const gtmMartech = createGtmMartech({
+        containers: [TEST_CONSTANTS.GTM_CONTAINER_1, { id: TEST_CONSTANTS.GTM_CONTAINER_2, requires: ['ad_storage'] }],
+        scriptLoader: { wait: true },
+      });
+
+      const lazy = track(gtmMartech.lazy());
+      await tick();
+      expect(lazy.settled).to.be.false;
+
+      dispatch(CONTAINER_1_URL, 'error');
+      await tick();
+      expect(lazy.settled).to.be.true;
+      expect(getScripts(CONTAINER_2_URL)).to.have.length(0);
+    });
+
+    it('should resolve the delayed phase once the delayed containers are loaded', async () => {
+      const gtmMartech = createGtmMartech({
+        containers: { lazy: [], delayed: [TEST_CONSTANTS.GTM_CONTAINER_2] },
+        scriptLoader: { wait: true },
+      });
+
+      const delayed = track(gtmMartech.delayed());
+      await tick();
+      expect(delayed.settled).to.be.false;
+
+      dispatch(CONTAINER_2_URL, 'load');
+      await tick();
+      expect(delayed.settled).to.be.true;
+    });
+
+    it('should not wait for any script if analytics is disabled', async () => {
+      const gtmMartech = createGtmMartech({ analytics: false, scriptLoader: { wait: true } });
+
+      await gtmMartech.delayed();
+
+      expect(document.querySelectorAll('script')).to.have.length(0);
+    });
+  });
+});
@@ -0,0 +1,166 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+/* eslint-disable no-unused-vars, no-unused-expressions */
+
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { TestSetup, MockIntersectionObserver, createGtmMartech } from './helpers/setup.js';
+
+const PAGE = `
+  <div class="section hero-container dark" data-section-status="loaded"><h1> Welcome </h1></div>
+  <div class="section" data-section-status="loaded"><p>No heading</p></div>
+  <div class="section highlight" data-section-status="loaded"><h3>Third</h3><h2>Other</h2></div>
+  <div class="section" data-section-status="loaded"><h2>Last</h2></div>
+`;
+
+const getEvents = (dataLayer, name) => dataLayer.filter((entry) => entry.event === name);
+
+describe('Scroll tracking', () => {
+  let testSetup;
+  let window;
+  let sections;
+  let consoleWarnSpy;
+
+  beforeEach(() => {
+    testSetup = new TestSetup();
+    const setup = testSetup.setupWithConsoleWarn({ includeMain: true });
+    window = setup.window;
+    consoleWarnSpy = setup.consoleWarnSpy;
+    window.IntersectionObserver = MockIntersectionObserver;
+    document.querySelector('main').innerHTML = PAGE;
+    sections = document.querySelectorAll('main > .section');
+  });
+
+  afterEach(() => {
+    MockIntersectionObserver.reset();
+    testSetup.cleanup();
+  });
+
+  it('should warn when IntersectionObserver is not supported', async () => {
+    delete window.IntersectionObserver;
+    const gtmMartech = createGtmMartech({ consent: false, tracking: { scroll: true } });
+
+    await gtmMartech.lazy();
+
+    sinon.assert.calledWith(consoleWarnSpy, 'IntersectionObserver is not supported, scroll tracking is disabled');
+  });
+
+  describe('when enabled', () => {
+    let gtmMartech;
+
+    beforeEach(async () => {
+      gtmMartech = createGtmMartech({ consent: false, tracking: { scroll: true } });
+      await gtmMartech.lazy();
+    });
+
+    it('should observe the sections for visibility and reaching the middle of the viewport', () => {
+      const [visibilityObserver, centerObserver] = MockIntersectionObserver.instances;
+
+      expect(visibilityObserver.options).to.deep.equal({ threshold: 0.5 });
+      expect(centerObserver.options).to.deep.equal({ rootMargin: '-50% 0px -50% 0px' });
+      expect(visibilityObserver.targets.size).to.equal(4);
+      expect(centerObserver.targets.size).to.equal(4);
+    });
+
+    it('should push a section_view event when a section is viewed', () => {
+      MockIntersectionObserver.intersect(sections[0]);
+      MockIntersectionObserver.intersect(sections[1]);
+      MockIntersectionObserver.intersect(sections[2]);
+
+      expect(getEvents(window.gtmDataLayer, 'section_view')).to.deep.equal([
+        {
+          event: 'section_view', section_index: 0, section_classes: 'dark', section_heading: 'Welcome',
+        },
+        {
+          event: 'section_view', section_index: 1, section_classes: '', section_heading: '',
+        },
+        {
+          event: 'section_view', section_index: 2, section_classes: 'highlight', section_heading: 'Third',
+        },
+      ]);
+    });
+
+    it('should ignore sections leaving the viewport', () => {
+      MockIntersectionObserver.intersect(sections[0], { isIntersecting: false });
+
+      expect(getEvents(window.gtmDataLayer, 'section_view')).to.have.length(0);
+    });
+
+    it('should push each section_view once per page view', () => {
+      MockIntersectionObserver.intersect(sections[0]);
+      MockIntersectionObserver.intersect(sections[0]);
+
+      expect(getEvents(window.gtmDataLayer, 'section_view')).to.have.length(1);
+      expect(MockIntersectionObserver.instances.every((observer) => !observer.targets.has(sections[0]))).to.be.true;
+    });
+
+    it('should push the scroll depth milestones', () => {
+      MockIntersectionObserver.intersect(sections[0]);
+      expect(getEvents(window.gtmDataLayer, 'scroll_depth')).to.deep.equal([
+        { event: 'scroll_depth', percent_scrolled: 25 },
+      ]);
+
+      // Jumping to the last section reaches all the remaining milestones, in order
+      MockIntersectionObserver.intersect(sections[3]);
+      MockIntersectionObserver.intersect(sections[2]);
+      expect(getEvents(window.gtmDataLayer, 'scroll_depth').map((e) => e.percent_scrolled)).to.deep.equal([25, 50, 75, 100]);
+    });
+
+    it('should track the remaining sections & milestones again on virtual page views', () => {
+      MockIntersectionObserver.intersect(sections[0]);
+      MockIntersectionObserver.intersect(sections[3]);
+      sections[3].remove();
+
+      gtmMartech.pageView();
+      MockIntersectionObserver.intersect(sections[0]);
+      MockIntersectionObserver.intersect(sections[3]);
+
+      expect(getEvents(window.gtmDataLayer, 'section_view').map((e) => e.section_heading)).to.deep.equal(['Welcome', 'Last', 'Welcome']);
+      expect(getEvents(window.gtmDataLayer, 'scroll_depth').map((e) => e.percent_scrolled)).to.deep.equal([25, 50, 75, 100, 25]);
+    });
+
+    it('should not compute the scroll depth for nested sections', async () => {
+      const fragment = document.createElement('div');
+      fragment.innerHTML = '<div class="section"><h2>Nested</h2></div>';
+      sections[1].append(fragment);
+      fragment.firstElementChild.dataset.sectionStatus = 'loaded';
+      // eslint-disable-next-line no-promise-executor-return
+      await new Promise((resolve) => setTimeout(resolve, 0));
+
+      MockIntersectionObserver.intersect(fragment.firstElementChild);
+
+      expect(getEvents(window.gtmDataLayer, 'section_view')).to.have.length(1);
+      expect(getEvents(window.gtmDataLayer, 'scroll_depth')).to.have.length(0);
+    });
+  });
+
+  it('should support custom milestones and visibility', async () => {
+    const gtmMartech = createGtmMartech({
+      consent: false,
+      tracking: { scroll: { milestones: [100, 50], visibility: 0.75 } },
+    });
+    await gtmMartech.lazy();
+
+    MockIntersectionObserver.intersect(sections[3]);
+
+    expect(MockIntersectionObserver.instances[0].options).to.deep.equal({ threshold: 0.75 });
+    expect(getEvents(window.gtmDataLayer, 'scroll_depth').map((e) => e.percent_scrolled)).to.deep.equal([50, 100]);
+  });
+
+  it('should only observe sections', async () => {
+    document.querySelector('main').innerHTML = '<div class="block" data-block-status="loaded"></div>';
+    const gtmMartech = createGtmMartech({ consent: false, tracking: { scroll: true } });
+    await gtmMartech.lazy();
+
+    expect(MockIntersectionObserver.instances[0].targets.size).to.equal(0);
+  });
+});
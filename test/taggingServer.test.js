@@ -0,0 +1,123 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+/* eslint-disable no-unused-vars, no-unused-expressions */
+
+import { expect } from 'chai';
+import { TestSetup, TEST_CONSTANTS, createGtmMartech } from './helpers/setup.js';
+
+const TAGGING_SERVER = 'https://metrics.example.com';
+
+describe('GtmMartech tagging server', () => {
+  let testSetup;
+  let window;
+
+  beforeEach(() => {
+    testSetup = new TestSetup();
+    const setup = testSetup.setup({ includeMain: true });
+    window = setup.window;
+  });
+
+  afterEach(() => {
+    testSetup.cleanup();
+  });
+
+  describe('when no tagging server is configured', () => {
+    it('should not add server urls to the tag config', () => {
+      createGtmMartech({ pageMetadata: { foo: 'bar' } });
+
+      const configEntry = window.gtmDataLayer.find((entry) => entry[0] === 'config');
+      expect(configEntry[2]).to.deep.equal({ foo: 'bar' });
+    });
+  });
+
+  describe('when a global tagging server is configured', () => {
+    it('should normalize a string to an object', () => {
+      const gtmMartech = createGtmMartech({ taggingServer: TAGGING_SERVER });
+      expect(gtmMartech.config.taggingServer).to.deep.equal({ url: TAGGING_SERVER });
+    });
+
+    it('should set the server container url in the tag config', () => {
+      createGtmMartech({ taggingServer: TAGGING_SERVER, pageMetadata: { foo: 'bar' } });
+
+      const configEntry = window.gtmDataLayer.find((entry) => entry[0] === 'config');
+      expect(configEntry[2]).to.deep.equal({
+        foo: 'bar',
+        server_container_url: TAGGING_SERVER,
+        transport_url: TAGGING_SERVER,
+      });
+    });
+
+    it('should load GA4 scripts from the tagging server', async () => {
+      const gtmMartech = createGtmMartech({ taggingServer: `${TAGGING_SERVER}/` });
+      await gtmMartech.eager();
+
+      const script = document.querySelector(`head > script[src*="${TEST_CONSTANTS.MEASUREMENT_ID_1}"]`);
+      expect(script.src).to.equal(`${TAGGING_SERVER}/gtag/js?id=${TEST_CONSTANTS.MEASUREMENT_ID_1}&l=gtmDataLayer`);
+    });
+
+    it('should load GTM containers from the tagging server', async () => {
+      const gtmMartech = createGtmMartech({
+        taggingServer: TAGGING_SERVER,
+        containers: [TEST_CONSTANTS.GTM_CONTAINER_1],
+        consent: false,
+      });
+      await gtmMartech.lazy();
+
+      const script = document.querySelector(`head > script[src*="${TEST_CONSTANTS.GTM_CONTAINER_1}"]`);
+      expect(script.src).to.equal(`${TAGGING_SERVER}/gtm.js?id=${TEST_CONSTANTS.GTM_CONTAINER_1}&l=gtmDataLayer`);
+    });
+  });
+
+  describe('when per tag or container overrides are configured', () => {
+    const taggingServer = {
+      tags: { [TEST_CONSTANTS.MEASUREMENT_ID_2]: 'https://ga.example.com' },
+      containers: { [TEST_CONSTANTS.GTM_CONTAINER_2]: 'https://gtm.example.com' },
+    };
+
+    it('should only set the server container url for overridden tags', () => {
+      createGtmMartech({
+        tags: [TEST_CONSTANTS.MEASUREMENT_ID_1, TEST_CONSTANTS.MEASUREMENT_ID_2],
+        taggingServer,
+      });
+
+      const configEntries = window.gtmDataLayer.filter((entry) => entry[0] === 'config');
+      expect(configEntries[0][2]).to.deep.equal({});
+      expect(configEntries[1][2].server_container_url).to.equal('https://ga.example.com');
+    });
+
+    it('should load overridden tags from their tagging server', async () => {
+      const gtmMartech = createGtmMartech({
+        tags: [TEST_CONSTANTS.MEASUREMENT_ID_1, TEST_CONSTANTS.MEASUREMENT_ID_2],
+        taggingServer: { url: TAGGING_SERVER, ...taggingServer },
+      });
+      await gtmMartech.eager();
+
+      const script1 = document.querySelector(`head > script[src*="${TEST_CONSTANTS.MEASUREMENT_ID_1}"]`);
+      const script2 = document.querySelector(`head > script[src*="${TEST_CONSTANTS.MEASUREMENT_ID_2}"]`);
+      expect(script1.src).to.include(`${TAGGING_SERVER}/gtag/js`);
+      expect(script2.src).to.include('https://ga.example.com/gtag/js');
+    });
+
+    it('should load overridden containers from their tagging server', async () => {
+      const gtmMartech = createGtmMartech({
+        containers: { lazy: [], delayed: [TEST_CONSTANTS.GTM_CONTAINER_1, TEST_CONSTANTS.GTM_CONTAINER_2] },
+        taggingServer,
+      });
+      await gtmMartech.delayed();
+
+      const script1 = document.querySelector(`head > script[src*="${TEST_CONSTANTS.GTM_CONTAINER_1}"]`);
+      const script2 = document.querySelector(`head > script[src*="${TEST_CONSTANTS.GTM_CONTAINER_2}"]`);
+      expect(script1.src).to.include('https://www.googletagmanager.com/gtm.js');
+      expect(script2.src).to.include('https://gtm.example.com/gtm.js');
+    });
+  });
+});
@@ -0,0 +1,150 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+/* eslint-disable no-unused-vars, no-unused-expressions, no-underscore-dangle */
+
+import { expect } from 'chai';
+import sinon from 'sinon';
+import tcfConsent from '../src/consent/tcf.js';
+import { TestSetup, createGtmMartech } from './helpers/setup.js';
+
+const ALL_DENIED = {
+  ad_storage: 'denied',
+  ad_user_data: 'denied',
+  ad_personalization: 'denied',
+  analytics_storage: 'denied',
+};
+
+const ALL_GRANTED = {
+  ad_storage: 'granted',
+  ad_user_data: 'granted',
+  ad_personalization: 'granted',
+  analytics_storage: 'granted',
+};
+
+const tcData = (eventStatus, consentedPurposes = [], gdprApplies = true) => ({
+  eventStatus,
+  gdprApplies,
+  purpose: { consents: Object.fromEntries(consentedPurposes.map((id) => [id, true])) },
+});
+
+describe('TCF consent adapter', () => {
+  let testSetup;
+  let window;
+  let consoleWarnSpy;
+  let listener;
+
+  beforeEach(() => {
+    testSetup = new TestSetup();
+    const setup = testSetup.setupWithConsoleWarn({ includeMain: true });
+    window = setup.window;
+    consoleWarnSpy = setup.consoleWarnSpy;
+    listener = undefined;
+    window.__tcfapi = sinon.spy((command, version, callback) => {
+      listener = callback;
+    });
+  });
+
+  afterEach(() => {
+    testSetup.cleanup();
+  });
+
+  it('should resolve to undefined when no CMP is on the page', async () => {
+    delete window.__tcfapi;
+
+    const consent = await tcfConsent()(createGtmMartech());
+
+    expect(consent).to.be.undefined;
+    sinon.assert.calledWith(consoleWarnSpy, 'No IAB TCF v2 CMP found on the page');
+  });
+
+  it('should register a TCF v2 event listener', () => {
+    tcfConsent()(createGtmMartech());
+
+    sinon.assert.calledWith(window.__tcfapi, 'addEventListener', 2);
+  });
+
+  it('should wait for the TC data to be loaded', async () => {
+    const callback = sinon.spy();
+    tcfConsent()(createGtmMartech()).then(callback);
+
+    listener(tcData('cmpuishown'), true);
+    listener(tcData('tcloaded', [1, 3, 4, 7, 8]), false);
+    await Promise.resolve();
+    sinon.assert.notCalled(callback);
+
+    listener(tcData('tcloaded', [1, 3, 4, 7, 8]), true);
+    await Promise.resolve();
+    sinon.assert.calledWith(callback, ALL_GRANTED);
+  });
+
+  it('should map the TCF purposes to Google consent types', async () => {
+    const promise = tcfConsent()(createGtmMartech());
+
+    listener(tcData('useractioncomplete', [1, 7]), true);
+
+    expect(await promise).to.deep.equal({
+      ad_storage: 'granted',
+      ad_user_data: 'granted',
+      ad_personalization: 'denied',
+      analytics_storage: 'denied',
+    });
+  });
+
+  it('should deny everything when no purpose data is available', async () => {
+    const promise = tcfConsent()(createGtmMartech());
+
+    listener({ eventStatus: 'tcloaded', gdprApplies: true }, true);
+
+    expect(await promise).to.deep.equal(ALL_DENIED);
+  });
+
+  it('should grant everything when GDPR does not apply', async () => {
+    const promise = tcfConsent()(createGtmMartech());
+
+    listener(tcData('tcloaded', [], false), true);
+
+    expect(await promise).to.deep.equal(ALL_GRANTED);
+  });
+
+  it('should support a custom purpose mapping', async () => {
+    const promise = tcfConsent({ purposes: { analytics_storage: [1, 9] } })(createGtmMartech());
+
+    listener(tcData('tcloaded', [1, 9]), true);
+
+    expect(await promise).to.deep.equal({ analytics_storage: 'granted' });
+  });
+
+  it('should update the consent on later changes', async () => {
+    const gtmMartech = createGtmMartech();
+    const updateUserConsentSpy = sinon.spy(gtmMartech, 'updateUserConsent');
+    const promise = tcfConsent()(gtmMartech);
+
+    listener(tcData('tcloaded'), true);
+    expect(await promise).to.deep.equal(ALL_DENIED);
+    sinon.assert.notCalled(updateUserConsentSpy);
+
+    listener(tcData('useractioncomplete', [1, 3, 4, 7, 8]), true);
+    sinon.assert.calledOnceWithExactly(updateUserConsentSpy, ALL_GRANTED);
+  });
+
+  it('should be usable as the consent callback', async () => {
+    const gtmMartech = createGtmMartech({ consentCallback: tcfConsent() });
+    const updateUserConsentSpy = sinon.spy(gtmMartech, 'updateUserConsent');
+
+    await gtmMartech.lazy();
+    listener(tcData('tcloaded', [1, 3, 4, 7, 8]), true);
+    await Promise.resolve();
+    await Promise.resolve();
+
+    sinon.assert.calledOnceWithExactly(updateUserConsentSpy, ALL_GRANTED);
+  });
+});
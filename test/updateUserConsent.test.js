@@ -24,7 +24,7 @@ describe('GtmMartech updateUserConsent function', () => {
     gtmMartech = createGtmMartech();
 
     // Now that GtmMartech is initialized, we can spy on gtag
-    gtagSpy = sinon.spy(testSetup.window, 'gtag');
+    gtagSpy = sinon.spy(gtmMartech, 'gtag');
   });
 
   afterEach(() => {
@@ -0,0 +1,258 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+/* eslint-disable no-unused-vars, no-unused-expressions */
+
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { TestSetup, createGtmMartech } from './helpers/setup.js';
+
+const YOUTUBE_URL = 'https://www.youtube.com/embed/abc123';
+
+const PAGE = `
+  <div class="section" data-section-status="loaded">
+    <div class="video block" data-block-name="video" data-block-status="loaded">
+      <video title="Product tour"><source src="https://cdn.example.com/media/tour.mp4"></video>
+    </div>
+    <div class="embed block" data-block-name="embed" data-block-status="loaded">
+      <iframe title="Keynote" src="${YOUTUBE_URL}?rel=0"></iframe>
+      <iframe src="https://player.vimeo.com/video/1"></iframe>
+    </div>
+    <div class="hero block" data-block-name="hero" data-block-status="loaded">
+      <video src="https://cdn.example.com/media/background.mp4"></video>
+    </div>
+  </div>
+`;
+
+const getEvents = (dataLayer) => dataLayer.filter((entry) => entry.event?.startsWith('video_'));
+
+describe('Video tracking', () => {
+  let testSetup;
+  let window;
+
+  const init = async (options = true) => {
+    const gtmMartech = createGtmMartech({ consent: false, tracking: { video: options } });
+    await gtmMartech.lazy();
+  };
+
+  beforeEach(() => {
+    testSetup = new TestSetup();
+    const setup = testSetup.setup({ includeMain: true });
+    window = setup.window;
+    document.querySelector('main').innerHTML = PAGE;
+  });
+
+  afterEach(() => {
+    testSetup.cleanup();
+  });
+
+  describe('native videos', () => {
+    let video;
+
+    const play = (currentTime, duration = 200) => {
+      Object.defineProperty(video, 'currentTime', { value: currentTime, configurable: true });
+      Object.defineProperty(video, 'duration', { value: duration, configurable: true });
+      video.dispatchEvent(new window.Event('timeupdate'));
+    };
+
+    beforeEach(async () => {
+      await init();
+      video = document.querySelector('.video video');
+    });
+
+    it('should push video_start once', () => {
+      video.dispatchEvent(new window.Event('play'));
+      video.dispatchEvent(new window.Event('play'));
+
+      expect(getEvents(window.gtmDataLayer)).to.deep.equal([{
+        event: 'video_start',
+        video_provider: 'html5',
+        video_title: 'Product tour',
+        video_url: 'https://cdn.example.com/media/tour.mp4',
+        video_duration: 0,
+        video_current_time: 0,
+      }]);
+    });
+
+    it('should push video_progress for each milestone once', () => {
+      play(0, NaN);
+      play(30);
+      play(60);
+      play(61);
+
+      const events = getEvents(window.gtmDataLayer);
+      expect(events.map((e) => e.video_percent)).to.deep.equal([10, 25]);
+      expect(events[1]).to.include({ event: 'video_progress', video_current_time: 60, video_duration: 200 });
+    });
+
+    it('should push video_complete once', () => {
+      play(200);
+      video.dispatchEvent(new window.Event('ended'));
+      video.dispatchEvent(new window.Event('ended'));
+
+      const events = getEvents(window.gtmDataLayer).filter((e) => e.event === 'video_complete');
+      expect(events).to.deep.equal([{
+        event: 'video_complete',
+        video_provider: 'html5',
+        video_title: 'Product tour',
+        video_url: 'https://cdn.example.com/media/tour.mp4',
+        video_duration: 200,
+        video_percent: 100,
+        video_current_time: 200,
+      }]);
+    });
+
+    it('should only track videos in the video & embed blocks', () => {
+      document.querySelector('.hero video').dispatchEvent(new window.Event('play'));
+
+      expect(getEvents(window.gtmDataLayer)).to.have.length(0);
+    });
+  });
+
+  it('should describe videos without a title', async () => {
+    document.querySelector('.video').innerHTML = `
+      <video aria-label="Labelled" src="https://cdn.example.com/a.mp4"></video>
+      <video src="https://cdn.example.com/media/b.mp4"></video>
+      <video></video>
+    `;
+    await init();
+
+    document.querySelectorAll('.video video').forEach((v) => v.dispatchEvent(new window.Event('play')));
+
+    const events = getEvents(window.gtmDataLayer);
+    expect(events.map((e) => e.video_title)).to.deep.equal(['Labelled', 'b.mp4', '']);
+    expect(events[2].video_url).to.equal('');
+  });
+
+  it('should support custom blocks and milestones', async () => {
+    await init({ blocks: ['hero'], milestones: [50] });
+    const video = document.querySelector('.hero video');
+
+    Object.defineProperty(video, 'currentTime', { value: 100 });
+    Object.defineProperty(video, 'duration', { value: 100 });
+    video.dispatchEvent(new window.Event('timeupdate'));
+
+    expect(getEvents(window.gtmDataLayer).map((e) => e.video_percent)).to.deep.equal([50]);
+  });
+
+  describe('YouTube videos', () => {
+    let iframe;
+
+    const message = (data, origin = 'https://www.youtube.com', source = iframe.contentWindow) => {
+      window.dispatchEvent(new window.MessageEvent('message', {
+        data: typeof data === 'string' ? data : JSON.stringify(data),
+        origin,
+        source,
+      }));
+    };
+
+    beforeEach(async () => {
+      await init();
+      iframe = document.querySelector('.embed iframe');
+    });
+
+    it('should enable the JS API on the player', () => {
+      expect(iframe.src).to.equal(`${YOUTUBE_URL}?rel=0&enablejsapi=1`);
+    });
+
+    it('should start listening to the player once loaded', () => {
+      const postMessage = sinon.stub(iframe.contentWindow, 'postMessage');
+
+      iframe.dispatchEvent(new window.Event('load'));
+
+      sinon.assert.calledWith(postMessage, JSON.stringify({ event: 'listening', channel: 'widget' }), 'https://www.youtube.com');
+    });
+
+    it('should push the engagement events from the player state', () => {
+      message({
+        event: 'initialDelivery',
+        info: {
+          playerState: -1,
+          currentTime: 0,
+          duration: 100,
+          videoUrl: 'https://www.youtube.com/watch?v=abc123',
+          videoData: { title: 'Keynote 2025' },
+        },
+      });
+      message({ event: 'onStateChange', info: 1 });
+      message({ event: 'infoDelivery', info: { currentTime: 30 } });
+      message({ event: 'onStateChange', info: 0 });
+
+      const events = getEvents(window.gtmDataLayer);
+      expect(events.map((e) => [e.event, e.video_percent])).to.deep.equal([
+        ['video_start', undefined],
+        ['video_progress', 10],
+        ['video_progress', 25],
+        ['video_complete', 100],
+      ]);
+      expect(events[0]).to.deep.equal({
+        event: 'video_start',
+        video_provider: 'youtube',
+        video_title: 'Keynote 2025',
+        video_url: 'https://www.youtube.com/watch?v=abc123',
+        video_duration: 100,
+        video_current_time: 0,
+      });
+    });
+
+    it('should fall back to the iframe title and url', () => {
+      message({ event: 'onStateChange', info: 1 });
+
+      expect(getEvents(window.gtmDataLayer)[0]).to.include({
+        video_title: 'Keynote',
+        video_url: `${YOUTUBE_URL}?rel=0&enablejsapi=1`,
+        video_duration: 0,
+      });
+    });
+
+    it('should ignore other messages', () => {
+      message({ event: 'onStateChange', info: 1 }, 'https://evil.example.com');
+      message({ event: 'onStateChange', info: 1 }, 'https://www.youtube.com', window);
+      message('not json');
+      message({ event: 'onReady', info: { playerState: 1 } });
+
+      expect(getEvents(window.gtmDataLayer)).to.have.length(0);
+    });
+  });
+
+  it('should keep the JS API settings of the player', async () => {
+    document.querySelector('.embed iframe').src = `${YOUTUBE_URL}?enablejsapi=1`;
+    await init();
+
+    expect(document.querySelector('.embed iframe').src).to.equal(`${YOUTUBE_URL}?enablejsapi=1`);
+  });
+
+  it('should start listening to the players that already loaded', async () => {
+    const iframe = document.querySelector('.embed iframe');
+    iframe.src = `${YOUTUBE_URL}?enablejsapi=1`;
+    const postMessage = sinon.stub(iframe.contentWindow, 'postMessage');
+
+    await init();
+
+    sinon.assert.calledOnceWithExactly(
+      postMessage,
+      JSON.stringify({ event: 'listening', channel: 'widget' }),
+      'https://www.youtube.com',
+    );
+  });
+
+  it('should track videos added to the blocks later', async () => {
+    await init();
+    const video = document.createElement('video');
+    video.src = 'https://cdn.example.com/late.mp4';
+    document.querySelector('.embed').append(video);
+    await Promise.resolve();
+
+    video.dispatchEvent(new window.Event('play'));
+
+    expect(getEvents(window.gtmDataLayer)[0].video_url).to.equal('https://cdn.example.com/late.mp4');
+  });
+});
@@ -0,0 +1,320 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+/* eslint-disable no-unused-vars, no-unused-expressions */
+
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { TestSetup, MockPerformanceObserver, createGtmMartech } from './helpers/setup.js';
+
+const getEvents = (dataLayer) => dataLayer.filter((entry) => entry.event === 'web_vitals');
+
+// eslint-disable-next-line no-promise-executor-return
+const tick = () => new Promise((resolve) => setTimeout(resolve, 10));
+
+// The collector is imported without holding back the eager phase, so it may take a few ticks to start
+const waitFor = async (condition) => {
+  for (let i = 0; i < 10 && !condition(); i += 1) {
+    // eslint-disable-next-line no-await-in-loop
+    await tick();
+  }
+};
+
+describe('Core Web Vitals reporting', () => {
+  let testSetup;
+  let window;
+  let consoleWarnSpy;
+
+  const hide = () => {
+    Object.defineProperty(document, 'visibilityState', { value: 'hidden', configurable: true });
+    document.dispatchEvent(new window.Event('visibilitychange'));
+  };
+
+  const start = async (webVitals = true) => {
+    const gtmMartech = createGtmMartech({ consent: false, webVitals });
+    await gtmMartech.eager();
+    await waitFor(() => MockPerformanceObserver.instances.length > 0);
+    return gtmMartech;
+  };
+
+  beforeEach(() => {
+    testSetup = new TestSetup();
+    const setup = testSetup.setupWithConsoleWarn({ includeMain: true });
+    window = setup.window;
+    consoleWarnSpy = setup.consoleWarnSpy;
+    window.PerformanceObserver = MockPerformanceObserver;
+    document.querySelector('main').innerHTML = `
+      <div class="section">
+        <div class="hero block"><picture><img id="hero-image"></picture><h1>Title</h1></div>
+        <div class="cards block"><button class="button primary">Go</button></div>
+      </div>
+    `;
+  });
+
+  afterEach(() => {
+    MockPerformanceObserver.reset();
+    testSetup.cleanup();
+  });
+
+  it('should not collect the metrics by default', async () => {
+    const gtmMartech = createGtmMartech({ consent: false });
+    await gtmMartech.eager();
+    await tick();
+
+    expect(MockPerformanceObserver.instances).to.have.length(0);
+  });
+
+  it('should warn when PerformanceObserver is not supported', async () => {
+    delete window.PerformanceObserver;
+    const gtmMartech = createGtmMartech({ consent: false, webVitals: true });
+
+    await gtmMartech.eager();
+    await waitFor(() => consoleWarnSpy.calledWith('PerformanceObserver is not supported, Core Web Vitals reporting is disabled'));
+
+    sinon.assert.calledWith(consoleWarnSpy, 'PerformanceObserver is not supported, Core Web Vitals reporting is disabled');
+  });
+
+  it('should warn when the reporting cannot be started', async () => {
+    const error = new Error('Unsupported entry type');
+    sinon.stub(MockPerformanceObserver.prototype, 'observe').throws(error);
+    const gtmMartech = createGtmMartech({ consent: false, webVitals: true });
+
+    await gtmMartech.eager();
+    await waitFor(() => consoleWarnSpy.calledWith('The Core Web Vitals reporting could not be started:'));
+    MockPerformanceObserver.prototype.observe.restore();
+
+    sinon.assert.calledWith(consoleWarnSpy, 'The Core Web Vitals reporting could not be started:', error);
+  });
+
+  it('should observe the buffered entries of each metric', async () => {
+    await start();
+
+    expect(MockPerformanceObserver.instances.map((observer) => observer.options)).to.deep.equal([
+      { type: 'largest-contentful-paint', buffered: true },
+      { type: 'layout-shift', buffered: true },
+      { type: 'event', buffered: true, durationThreshold: 40 },
+      { type: 'paint', buffered: true },
+      { type: 'navigation', buffered: true },
+    ]);
+  });
+
+  it('should only observe the configured & supported metrics', async () => {
+    const { supportedEntryTypes } = MockPerformanceObserver;
+    MockPerformanceObserver.supportedEntryTypes = ['paint', 'navigation'];
+    try {
+      await start({ metrics: ['FCP', 'LCP', 'FID'] });
+    } finally {
+      MockPerformanceObserver.supportedEntryTypes = supportedEntryTypes;
+    }
+
+    expect(MockPerformanceObserver.instances.map((observer) => observer.options.type)).to.deep.equal(['paint']);
+  });
+
+  it('should not observe anything if the supported entry types are unknown', async () => {
+    const { supportedEntryTypes } = MockPerformanceObserver;
+    MockPerformanceObserver.supportedEntryTypes = undefined;
+    try {
+      const gtmMartech = createGtmMartech({ consent: false, webVitals: true });
+      await gtmMartech.eager();
+      await tick();
+    } finally {
+      MockPerformanceObserver.supportedEntryTypes = supportedEntryTypes;
+    }
+
+    expect(MockPerformanceObserver.instances).to.have.length(0);
+  });
+
+  describe('when enabled', () => {
+    beforeEach(async () => {
+      await start();
+    });
+
+    it('should push a web_vitals event per metric when the page is hidden', () => {
+      const image = document.getElementById('hero-image');
+      MockPerformanceObserver.emit('largest-contentful-paint', [
+        { startTime: 1200.4, element: document.querySelector('h1'), url: '' },
+        { startTime: 2600.6, element: image, url: 'https://example.com/hero.jpg' },
+      ]);
+      MockPerformanceObserver.emit('paint', [
+        { name: 'first-paint', startTime: 700 },
+        { name: 'first-contentful-paint', startTime: 900 },
+      ]);
+      MockPerformanceObserver.emit('navigation', [{ name: 'https://example.com/', responseStart: 350.2 }]);
+
+      hide();
+
+      expect(getEvents(window.gtmDataLayer)).to.deep.equal([
+        {
+          event: 'web_vitals',
+          metric_name: 'LCP',
+          metric_value: 2601,
+          metric_delta: 2601,
+          metric_rating: 'needs-improvement',
+          metric_attribution: 'img#hero-image',
+        },
+        {
+          event: 'web_vitals',
+          metric_name: 'CLS',
+          metric_value: 0,
+          metric_delta: 0,
+          metric_rating: 'good',
+          metric_attribution: '',
+        },
+        {
+          event: 'web_vitals',
+          metric_name: 'FCP',
+          metric_value: 900,
+          metric_delta: 900,
+          metric_rating: 'good',
+          metric_attribution: '',
+        },
+        {
+          event: 'web_vitals',
+          metric_name: 'TTFB',
+          metric_value: 350,
+          metric_delta: 350,
+          metric_rating: 'good',
+          metric_attribution: 'https://example.com/',
+        },
+      ]);
+    });
+
+    it('should attribute the LCP to its url when the element was removed', () => {
+      MockPerformanceObserver.emit('largest-contentful-paint', [{ startTime: 4500, element: null, url: 'https://example.com/bg.jpg' }]);
+
+      hide();
+
+      expect(getEvents(window.gtmDataLayer)[0]).to.include({
+        metric_name: 'LCP', metric_rating: 'poor', metric_attribution: 'https://example.com/bg.jpg',
+      });
+    });
+
+    it('should report the largest session window of layout shifts', () => {
+      const cards = document.querySelector('.cards');
+      const hero = document.querySelector('.hero');
+      MockPerformanceObserver.emit('layout-shift', [
+        { startTime: 100, value: 0.05, sources: [{ node: hero }] },
+        { startTime: 500, value: 0.5, hadRecentInput: true },
+        { startTime: 600, value: 0.08, sources: [{ node: null }, { node: cards }] },
+        // A new session window, after a 1s gap
+        { startTime: 2000, value: 0.03, sources: [] },
+        // Another session window, after the 5s limit
+        { startTime: 2900, value: 0.01 },
+        { startTime: 3800, value: 0.01 },
+        { startTime: 4700, value: 0.01 },
+        { startTime: 5600, value: 0.01 },
+        { startTime: 6500, value: 0.01 },
+        { startTime: 7400, value: 0.01 },
+      ]);
+
+      hide();
+
+      expect(getEvents(window.gtmDataLayer).find((e) => e.metric_name === 'CLS')).to.deep.include({
+        metric_value: 0.13,
+        metric_rating: 'needs-improvement',
+        metric_attribution: 'main>div.section>div.cards.block',
+      });
+    });
+
+    it('should report the worst interaction, with its target', () => {
+      const button = document.querySelector('button');
+      MockPerformanceObserver.emit('event', [
+        {
+          name: 'pointerdown', interactionId: 1, duration: 80, target: button,
+        },
+        {
+          name: 'click', interactionId: 1, duration: 240, target: button,
+        },
+        {
+          name: 'pointerdown', interactionId: 1, duration: 120, target: button,
+        },
+        {
+          name: 'mouseover', interactionId: 0, duration: 900, target: button,
+        },
+        {
+          name: 'keydown', interactionId: 2, duration: 64, target: null,
+        },
+      ]);
+
+      hide();
+
+      expect(getEvents(window.gtmDataLayer).find((e) => e.metric_name === 'INP')).to.deep.include({
+        metric_value: 240,
+        metric_rating: 'needs-improvement',
+        metric_attribution: 'main>div.section>div.cards.block>button.button.primary',
+      });
+    });
+
+    it('should attribute the interactions to their type when the target was removed', () => {
+      MockPerformanceObserver.emit('event', [{
+        name: 'keydown', interactionId: 2, duration: 640, target: null,
+      }]);
+
+      hide();
+
+      expect(getEvents(window.gtmDataLayer).find((e) => e.metric_name === 'INP')).to.deep.include({
+        metric_rating: 'poor',
+        metric_attribution: 'keydown',
+      });
+    });
+
+    it('should ignore entries without an interaction', () => {
+      MockPerformanceObserver.emit('event', [{ name: 'mouseover', interactionId: 0, duration: 900 }]);
+      MockPerformanceObserver.emit('paint', []);
+
+      hide();
+
+      expect(getEvents(window.gtmDataLayer).map((e) => e.metric_name)).to.deep.equal(['CLS']);
+    });
+
+    it('should take the pending entries into account', () => {
+      MockPerformanceObserver.queue('largest-contentful-paint', [{ startTime: 1000, element: document.querySelector('h1') }]);
+
+      hide();
+
+      expect(getEvents(window.gtmDataLayer)[0]).to.include({
+        metric_name: 'LCP', metric_value: 1000, metric_attribution: 'main>div.section>div.hero.block>h1',
+      });
+    });
+
+    it('should only push the metrics again when they changed', () => {
+      MockPerformanceObserver.emit('layout-shift', [{ startTime: 100, value: 0.3 }]);
+      hide();
+      window.dispatchEvent(new window.Event('pagehide'));
+      MockPerformanceObserver.emit('layout-shift', [{ startTime: 200, value: 0.02 }]);
+      window.dispatchEvent(new window.Event('pagehide'));
+
+      expect(getEvents(window.gtmDataLayer).map((e) => [e.metric_value, e.metric_delta])).to.deep.equal([
+        [0.3, 0.3],
+        [0.32, 0.02],
+      ]);
+    });
+
+    it('should not report while the page is visible', () => {
+      document.dispatchEvent(new window.Event('visibilitychange'));
+
+      expect(getEvents(window.gtmDataLayer)).to.have.length(0);
+    });
+  });
+
+  it('should stop building selectors at long paths', async () => {
+    await start({ metrics: ['LCP'] });
+    const el = document.createElement('div');
+    el.className = 'a-very-long-class-name-for-testing another-very-long-class-name-for-testing';
+    document.querySelector('.hero').append(el);
+    MockPerformanceObserver.emit('largest-contentful-paint', [{ startTime: 1000, element: el }]);
+
+    hide();
+
+    expect(getEvents(window.gtmDataLayer)[0].metric_attribution)
+      .to.equal('div.section>div.hero.block>div.a-very-long-class-name-for-testing.another-very-long-class-name-for-testing');
+  });
+});